@@ -1,10 +1,37 @@
-export { default as Collection } from "./lib/collection.js";
+export {
+  default as Collection,
+  type CollectionEvents,
+  type Pagination,
+} from "./lib/collection.js";
 export { default as CanonicalModel } from "./lib/canonical-model.js";
-export { default as Model, type CanonicalModelSubscription } from "./lib/model.js";
-export { default as sync, ajax, type SyncOptions } from "./lib/sync.js";
+export {
+  default as Model,
+  ConflictError,
+  ValidationError,
+  type CanonicalModelSubscription,
+  type ConflictResolver,
+  type ModelEvents,
+  type Relation,
+  type ValidationErrors,
+} from "./lib/model.js";
+export { transaction } from "./lib/events.js";
+export { type HistoryOptions } from "./lib/history.js";
+export { type Schema, type SchemaAttributes, type SchemaField } from "./lib/schema.js";
+export { default as sync, ajax, type Middleware, type SyncOptions } from "./lib/sync.js";
 export { default as prefetch } from "./lib/prefetch.js";
+export {
+  default as persistCache,
+  type PersistOptions,
+  type StorageAdapter,
+} from "./lib/persist.js";
 export { default as request } from "./lib/request.js";
 export { default as ModelCache, invalidate } from "./lib/model-cache.js";
+export { dehydrate, hydrate, loadResources, type DehydratedState } from "./lib/ssr.js";
 export * as Utils from "./lib/utils.js";
-export { register, ModelMap, ResourcesConfig } from "./lib/config.js";
-export { useResources, withResources } from "./lib/resourcerer.js";
+export { register, ModelMap, ResourcesConfig, type RetryConfig } from "./lib/config.js";
+export {
+  useMutation,
+  useResources,
+  useSuspenseResources,
+  withResources,
+} from "./lib/resourcerer.js";
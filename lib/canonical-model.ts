@@ -50,6 +50,14 @@ export default class CanonicalModel<T extends Record<string, any>> extends Event
     }
   }
 
+  /**
+   * Subscribing models are set right away, even within a transaction, so that their next write to
+   * this canonical model doesn't undo this one. It's their own updates that are held back.
+   */
+  triggerUpdate(...args: [Partial<T>, Model]) {
+    this._triggerUpdate(...args);
+  }
+
   /**
    * Canonical models are totally kept outside the React lifecycle, which is nice. We don't boot
    * them from the cache when components get unmounted, for example. We only remove them when there
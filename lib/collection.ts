@@ -1,17 +1,23 @@
 import { isDeepEqual, sortBy } from "./utils.js";
 
-import Events from "./events.js";
+import Events, { transaction } from "./events.js";
+import History, { type HistoryOptions } from "./history.js";
 import Model, {
   type CanonicalModelSubscription,
   type ConstructorOptions,
   type SetOptions,
 } from "./model.js";
-import sync, { type SyncOptions } from "./sync.js";
-import { ResourceConfigObj } from "./types.js";
+import sync, { type Middleware, type SyncOptions, type Validators } from "./sync.js";
+import type { RetryConfig } from "./config.js";
+import { ResourceConfigObj, Tags } from "./types.js";
 import CanonicalModelConstructor from "./canonical-model.js";
 
 type CSetOptions = {
+  add?: boolean;
+  at?: number;
+  merge?: boolean;
   parse?: boolean;
+  remove?: boolean;
   silent?: boolean;
   [key: string]: any;
 } & SetOptions &
@@ -21,6 +27,42 @@ type ModelArg<A extends Record<string, any>, O extends Record<string, any>> =
   | Model<A, O>
   | Record<string, any>;
 
+/**
+ * How a paginated collection requests its pages:
+ *
+ *   * strategy - "offset" steps an offset param by the page size, "page" increments a page number
+ *       param, and "cursor" sends whatever cursor the collection's `parse` method extracts
+ *   * param - the query param holding the offset, page number, or cursor. defaults to the name of
+ *       the strategy
+ *   * pageSize - number of models per page, sent with every page request
+ *   * pageSizeParam - the query param holding the page size. default "limit"
+ */
+export type Pagination = {
+  strategy: "offset" | "page" | "cursor";
+  param?: string;
+  pageSize?: number;
+  pageSizeParam?: string;
+};
+
+type Page = string | number | null | undefined;
+
+/**
+ * Named events a collection triggers along with its updates:
+ *
+ *   * add - the models that were added and their indices in the collection
+ *   * remove - the models that were removed and the index each had when it was removed
+ *   * sort - the order of the collection's models has changed
+ *   * reset - all models were replaced. gets the new models and the previous models
+ *   * change - one of the collection's models changed. gets the model and the changed attributes
+ */
+export type CollectionEvents<M extends Model<any, any> = Model> = {
+  add: [models: M[], indices: number[]];
+  remove: [models: M[], indices: number[]];
+  sort: [];
+  reset: [models: M[], previousModels: M[]];
+  change: [model: M, changed: Record<string, any>];
+};
+
 type comparator =
   | string
   | ((arg: Model) => number | string)
@@ -41,12 +83,24 @@ export default class Collection<
   T extends Record<string, any> = object,
   O extends Record<string, any> = object,
   M extends typeof Model<T, O> = typeof Model<T, O>,
-> extends Events<[]> {
+> extends Events<[], CollectionEvents<InstanceType<M>>> {
   lazy?: boolean;
   refetching?: boolean;
+  revalidating?: boolean;
+  validators?: Validators;
   measure?: boolean | ((config: ResourceConfigObj) => boolean);
   isEmptyModel?: boolean;
 
+  /**
+   * For paginated collections, the offset, page number, or cursor of the next and previous pages.
+   * These are derived from the current page for the "offset" and "page" strategies, but they can
+   * also be assigned in `parse`, ie from cursors in the response. `null` means there is no page.
+   */
+  nextPage?: Page;
+  previousPage?: Page;
+  isFetchingNextPage?: boolean;
+  isFetchingPreviousPage?: boolean;
+
   Model: M;
 
   comparator?: comparator;
@@ -57,6 +111,18 @@ export default class Collection<
 
   _byId: Record<string, InstanceType<M>>;
 
+  // the params of the last full fetch, which all page requests build on
+  _pageParams: Record<string, any> = {};
+
+  // every page that has been loaded since the last full fetch, in the order of their models
+  _loadedPages: Page[] = [];
+
+  // in-flight page requests, so that a page is only ever requested once at a time
+  _pageRequests: { next?: Promise<any>; previous?: Promise<any> } = {};
+
+  // undo/redo stacks, for collection classes with history enabled
+  _history?: History;
+
   /**
    * @param {object[]} models - initial models to be set on the collection
    * @param {object} options - options map used in .set(), like {parse: true} to run the models
@@ -95,10 +161,21 @@ export default class Collection<
       // a listener to have been attached at this point
       this.reset(models, { silent: true, ...options });
     }
+
+    const { history } = this.constructor as typeof Collection;
+
+    if (history) {
+      this._history = new History(history === true ? {} : history);
+    }
   }
 
   urlOptions: Record<string, any> = {};
 
+  // the model that this collection is a `hasMany` relation of, if any
+  parent?: Model<any, any>;
+  // the path under the parent's url, for a relation without a url of its own
+  _parentPath?: string;
+
   /**
    * The default model for a collection is just a Model, but this can be overridden by any other
    * custom Model subclass.
@@ -133,8 +210,56 @@ export default class Collection<
    */
   static cacheTimeout: number;
 
+  /**
+   * Number of milliseconds after a fetch that a cached resource is considered stale. When a
+   * component requests a stale resource, the cached version is returned immediately and a
+   * background request revalidates it. By default, resources never go stale.
+   */
+  static staleTime: number;
+
+  /**
+   * Use this to override the default library-wide retry config set in the config for failed
+   * fetches of this collection.
+   */
+  static retry: Partial<RetryConfig>;
+
+  /**
+   * Tags to associate with every cached instance of this collection, so that it can be invalidated along
+   * with related resources of other resource keys via `invalidate({tags})`. Can also be a function
+   * that takes the resource config object, ie to derive tags from its path or params.
+   */
+  static tags: Tags;
+
+  /**
+   * Middleware that every request for this collection passes through after the global middleware from
+   * the config, ie to add headers or normalize errors for a specific API.
+   */
+  static middleware: Middleware[] = [];
+
   static comparator: comparator;
 
+  /**
+   * Set this to make the collection paginated, so that `fetchNextPage` and `fetchPreviousPage`
+   * add pages of models to this same collection instance. See the Pagination type for options.
+   */
+  static pagination: Pagination | null = null;
+
+  /**
+   * By default, a fetch resets the collection with brand new models. Set this to diff the server's
+   * list against the existing models by id instead, so that unchanged models keep their identity,
+   * changed models are updated in place, and missing models are removed. Can also be passed as a
+   * `smartMerge` option to .fetch().
+   */
+  static smartMerge = false;
+
+  /**
+   * Opts this collection into undo/redo history for models that are added or removed locally. Can
+   * be an object with a `depth`, which is the number of steps that can be undone. Changes made by
+   * server requests are not recorded, and a reset clears the history, since the models it refers
+   * to are gone.
+   */
+  static history: boolean | HistoryOptions = false;
+
   /**
    * Use this to tell resourcerer to track this collection's request time via the `track` method
    * added in the resourcerer configuration file. This can be a boolean or a function that returns a
@@ -176,7 +301,12 @@ export default class Collection<
     models: Model<T, O>["id"] | Model<T, O>["id"][] | ModelArg<T, O> | ModelArg<T, O>[],
     options: CSetOptions = {},
   ) {
-    const removed = this._removeModels(!Array.isArray(models) ? [models] : models);
+    const previousModels = this.models.slice();
+    const removed = this._removeModels(!Array.isArray(models) ? [models] : models, options);
+
+    if (options.history !== false && removed.length) {
+      this._recordHistory(previousModels);
+    }
 
     if (!options.silent && removed.length) {
       // update trigger on collection, necessary because removed models won't trigger collection
@@ -189,10 +319,24 @@ export default class Collection<
 
   /**
    * Sets a model or list of models on the collection, adding new ones and updating existing ones,
-   * as appropriate. Note that this is NOT for removing models. That should be done exclusively
-   * via the .remove() method (or effectively the .reset() method).
+   * as appropriate. Existing models keep their identity; only their attributes are updated. Options:
+   *
+   *   * add {boolean} - whether to add models that aren't yet in the collection. default true
+   *   * merge {boolean} - whether to update models that are already in the collection. default true
+   *   * remove {boolean} - whether to remove models that aren't in the list, which turns this into
+   *       a smart version of .reset(). the collection also takes on the order of the list, unless
+   *       it has a comparator. default false
+   *   * at {number} - the index at which to insert new models, if there is no comparator. default
+   *       is the end of the collection
+   *
+   * Unless silent, this triggers `remove`, `add`, and `sort` events as appropriate, in that order,
+   * as well as `change` events for each merged model that changed.
    */
   set(models?: ModelArg<T, O> | ModelArg<T, O>[], options: CSetOptions = {}) {
+    const { add = true, merge = true, remove = false } = options;
+    const setModels = new Set<InstanceType<M>>();
+    const addedModels: InstanceType<M>[] = [];
+    const previousModels = this.models.slice();
     let shouldSort = false;
 
     if (!models) {
@@ -203,27 +347,68 @@ export default class Collection<
 
     // models can be passed as a single model or a list
     for (let model of Array.isArray(models) ? models : [models]) {
+      let existing = this.get(model);
+
       // if model already exists, swap in new attributes
-      if (this.get(model)) {
+      if (existing) {
         let attrs = this._isModel(model) ? model.attributes : model;
 
-        this.get(model)!.set(options.parse ? this.get(model)!.parse(attrs, options) : attrs);
+        if (merge) {
+          existing.set(options.parse ? existing.parse(attrs, options) : attrs, {
+            silent: options.silent,
+            history: options.history,
+          });
+          shouldSort = true;
+        }
+
+        setModels.add(existing);
         // otherwise add it to the collection
-      } else {
+      } else if (add) {
         model = this._prepareModel(model, options);
 
-        this.models.push(model);
         this._addReference(model);
+        addedModels.push(model);
+        setModels.add(model);
         shouldSort = true;
       }
     }
 
+    const removedModels =
+      remove ?
+        this._removeModels(
+          this.models.filter((model) => !setModels.has(model)),
+          options,
+        )
+      : [];
+
+    this.models.splice(options.at ?? this.models.length, 0, ...addedModels);
+
+    if (remove && !this.comparator) {
+      this.models = [...setModels];
+    }
+
     // reset the length
     this.length = this.models.length;
 
     // sort the collection if appropriate.
     if (this.comparator && shouldSort) {
-      this.sort();
+      this.sort({ silent: true });
+    }
+
+    if (options.history !== false && (addedModels.length || removedModels.length)) {
+      this._recordHistory(previousModels);
+    }
+
+    if (!options.silent && addedModels.length) {
+      this.trigger(
+        "add",
+        addedModels,
+        addedModels.map((model) => this.models.indexOf(model)),
+      );
+    }
+
+    if (!options.silent && this._hasReordered(previousModels)) {
+      this.trigger("sort");
     }
 
     if (!options.silent) {
@@ -239,17 +424,21 @@ export default class Collection<
    * listeners to previous models.
    */
   reset(models: ModelArg<T, O> | ModelArg<T, O>[] = [], options: CSetOptions = {}) {
+    const previousModels = this.models;
+
     for (let i = 0; i < this.models.length; i++) {
       this._removeReference(this.models[i] as InstanceType<this["Model"]>);
     }
 
     this._reset();
+    this._history?.clear();
     // this is silent so that we don't trigger until we are all done. this is extra
     // important after a request returns because as of React 17 those are still synchronous udpates
-    this.add(models, { silent: true, ...options });
+    this.add(models, { silent: true, ...options, history: false });
 
     if (!options.silent) {
       // reset trigger
+      this.trigger("reset", this.models, previousModels);
       this.triggerUpdate();
     }
 
@@ -346,7 +535,7 @@ export default class Collection<
    * Sorts the collection by its comparator property. In most cases, you shouldn't need to call this
    * method directly; it happens automatically when new models are added.
    */
-  sort() {
+  sort(options: { silent?: boolean } = {}) {
     if (!this.comparator) {
       throw new Error("Cannot sort a set without a comparator");
     }
@@ -361,27 +550,137 @@ export default class Collection<
       );
     }
 
+    if (!options.silent) {
+      this.trigger("sort");
+    }
+
     return this;
   }
 
   /**
    * Main method that preps a GET request at this collection's url. This is the method the request
    * module uses to sync server data after instantiating a collection. Upon returning, an update is
-   * triggered for all registered components.
+   * triggered for all registered components, unless the server responded with a 304 Not Modified,
+   * in which case the collection is left as-is. The response replaces all existing models unless
+   * the collection uses `smartMerge`.
+   *
+   * A paginated collection starts over from the page in its params, unless passed
+   * `{revalidate: true}`, in which case every page that has been loaded is refetched, so that a
+   * background revalidation doesn't throw away pages loaded via `fetchNextPage`.
    */
-  fetch(options: SyncOptions & CSetOptions = {}) {
-    options = { parse: true, method: "GET", ...options };
+  fetch(options: SyncOptions & CSetOptions & { smartMerge?: boolean; revalidate?: boolean } = {}) {
+    const { pagination, smartMerge } = this.constructor as typeof Collection;
+    const { revalidate, ...syncOptions } = options;
+
+    options = { parse: true, method: "GET", ...syncOptions };
+
+    if (pagination && revalidate && this._loadedPages.length > 1) {
+      return this._refetchPages(options);
+    } else if (pagination) {
+      // a full fetch always starts over from the page in its params, or otherwise the first page
+      this._pageParams = options.params || {};
+      options.params = { ...this._getPageSizeParams(), ...this._pageParams };
+    }
 
     // @ts-ignore
     return this.sync(this, options).then(([json, response]) => {
-      this.reset(json, { silent: true, ...options });
-      // sync trigger
-      this.triggerUpdate();
+      if (response?.status === 304) {
+        return [this, response] as const;
+      }
+
+      if (pagination) {
+        this.nextPage = this.previousPage = undefined;
+      }
+
+      // granular events are triggered as usual, but we only want a single update at the end
+      transaction(() => {
+        options.smartMerge ?? smartMerge ?
+          this.set(json, { remove: true, ...options, history: false })
+        : this.reset(json, options);
+
+        if (pagination) {
+          this._loadedPages = [this._getPageParam(options.params)];
+          this._setPages(this._loadedPages[0], this.length);
+        }
+
+        // sync trigger
+        this.triggerUpdate();
+      });
 
       return [this, response] as const;
     });
   }
 
+  /**
+   * For paginated collections, fetches the next page and adds its models to the end of this
+   * collection, so that an infinite list can keep using the same cached resource. Components are
+   * updated when the request starts, via `isFetchingNextPage`, and again when it returns. Resolves
+   * immediately if there is no next page, and with the in-flight request if one has already been
+   * made.
+   */
+  fetchNextPage(options: SyncOptions & CSetOptions = {}) {
+    return this._fetchPage("next", options);
+  }
+
+  /**
+   * The counterpart to `fetchNextPage`, which adds the previous page's models to the beginning of
+   * the collection (unless it has a comparator).
+   */
+  fetchPreviousPage(options: SyncOptions & CSetOptions = {}) {
+    return this._fetchPage("previous", options);
+  }
+
+  hasNextPage() {
+    return this.nextPage !== null && this.nextPage !== undefined;
+  }
+
+  hasPreviousPage() {
+    return this.previousPage !== null && this.previousPage !== undefined;
+  }
+
+  /**
+   * For collections with history enabled, reverts the most recent step in its history by restoring
+   * the models it had before.
+   */
+  undo(): this {
+    this._history?.undo();
+
+    return this;
+  }
+
+  /**
+   * For collections with history enabled, reapplies the most recently undone step.
+   */
+  redo(): this {
+    this._history?.redo();
+
+    return this;
+  }
+
+  canUndo(): boolean {
+    return !!this._history?.canUndo();
+  }
+
+  canRedo(): boolean {
+    return !!this._history?.canRedo();
+  }
+
+  /**
+   * Records all models added and removed within the function as a single step in the collection's
+   * history, so that they are undone and redone together.
+   */
+  groupHistory(fn: () => void): this {
+    this._history ? this._history.group(fn) : fn();
+
+    return this;
+  }
+
+  clearHistory(): this {
+    this._history?.clear();
+
+    return this;
+  }
+
   /**
    * This method is shorthand for adding a new model to the collection and then calling .save() on
    * it.
@@ -390,6 +689,8 @@ export default class Collection<
     model: ModelArg<T, O>,
     options: { wait?: boolean } & SyncOptions & CSetOptions = {},
   ): Promise<[InstanceType<this["Model"]>, Response]> {
+    // models added and removed by server requests aren't recorded in the collection's history
+    options = { ...options, history: false };
     model = this._prepareModel(model, options);
 
     if (!options.wait) {
@@ -413,7 +714,7 @@ export default class Collection<
       })
       .catch((response: Response) => {
         if (!options.wait) {
-          this.remove(model);
+          this.remove(model, { history: false });
         }
 
         return Promise.reject(response);
@@ -472,6 +773,188 @@ export default class Collection<
     return DefaultModel;
   }
 
+  /**
+   * Requests the next or previous page with the params of the last full fetch. Only the page in the
+   * direction we fetched is updated afterwards; the other one still belongs to the other end of the
+   * collection.
+   */
+  _fetchPage(
+    direction: "next" | "previous",
+    options: SyncOptions & CSetOptions,
+  ): Promise<readonly [this, Response?]> {
+    const { pagination } = this.constructor as typeof Collection;
+    const page = direction === "next" ? this.nextPage : this.previousPage;
+    const fetchingKey = direction === "next" ? "isFetchingNextPage" : "isFetchingPreviousPage";
+
+    if (!pagination || page === null || page === undefined) {
+      return Promise.resolve([this] as const);
+    } else if (this._pageRequests[direction]) {
+      return this._pageRequests[direction]!;
+    }
+
+    options = {
+      parse: true,
+      method: "GET",
+      ...options,
+      params: {
+        ...this._pageParams,
+        ...this._getPageSizeParams(),
+        [pagination.param || pagination.strategy]: page,
+      },
+    };
+
+    const finishRequest = () => {
+      delete this._pageRequests[direction];
+      delete this[fetchingKey];
+      this.triggerUpdate();
+    };
+
+    this[fetchingKey] = true;
+    this.triggerUpdate();
+
+    // @ts-ignore
+    const pageRequest = this.sync(this, options)
+      .then(([json, response]) => {
+        const { length, nextPage, previousPage } = this;
+
+        // a single update for both the new page and the request finishing
+        transaction(() => {
+          this.nextPage = this.previousPage = undefined;
+          this.add(json, {
+            ...(direction === "previous" ? { at: 0 } : {}),
+            ...options,
+            history: false,
+          });
+
+          this._setPages(page, this.length - length);
+          direction === "next" ? (this.previousPage = previousPage) : (this.nextPage = nextPage);
+          direction === "next" ? this._loadedPages.push(page) : this._loadedPages.unshift(page);
+          finishRequest();
+        });
+
+        return [this, response] as const;
+      })
+      .catch((response) => {
+        finishRequest();
+
+        return Promise.reject(response);
+      });
+
+    this._pageRequests[direction] = pageRequest;
+
+    return pageRequest;
+  }
+
+  /**
+   * Refetches every loaded page at once and then replaces the collection's models with all of
+   * them, so that it keeps its place in the list. The first page's previous page and the last
+   * page's next page are the collection's pages afterwards.
+   */
+  _refetchPages(options: SyncOptions & CSetOptions & { smartMerge?: boolean }) {
+    const { smartMerge, pagination } = this.constructor as typeof Collection;
+    const { strategy, param = strategy } = pagination!;
+    const pages = this._loadedPages;
+
+    // we need every page's data, so none of them can be conditional and come back as a 304
+    delete this.validators;
+
+    return Promise.all(
+      pages.map(
+        (page) =>
+          // @ts-ignore
+          this.sync(this, {
+            ...options,
+            params: {
+              ...this._getPageSizeParams(),
+              ...this._pageParams,
+              ...(page !== undefined ? { [param]: page } : {}),
+            },
+          }) as Promise<[any, Response]>,
+      ),
+    ).then((results) => {
+      const models: ModelArg<T, O>[] = [];
+      let previousPage: Page | undefined;
+
+      results.forEach(([json], index) => {
+        // parse may set the pages, ie from cursors in the response
+        this.nextPage = this.previousPage = undefined;
+
+        const pageModels = options.parse ? this.parse(json, options) : json;
+
+        this._setPages(pages[index], pageModels.length);
+        previousPage = index ? previousPage : this.previousPage;
+        models.push(...pageModels);
+      });
+
+      transaction(() => {
+        options.smartMerge ?? smartMerge ?
+          this.set(models, { remove: true, ...options, parse: false, history: false })
+        : this.reset(models, { ...options, parse: false });
+
+        this.previousPage = previousPage;
+        this.triggerUpdate();
+      });
+
+      return [this, results[results.length - 1]![1]] as const;
+    });
+  }
+
+  /**
+   * Fills in whichever of the next and previous pages `parse` didn't set after a page of models
+   * comes back. Offsets and page numbers are stepped from the page we requested, and we assume
+   * there are no more pages once one comes back without any new models. Cursors can only come from
+   * `parse`.
+   */
+  _setPages(page: Page, pageLength: number) {
+    const { strategy, pageSize } = (this.constructor as typeof Collection).pagination!;
+    const step = strategy === "offset" ? pageSize || pageLength : 1;
+    const firstPage = strategy === "offset" ? 0 : 1;
+
+    if (strategy === "cursor") {
+      this.nextPage ??= null;
+      this.previousPage ??= null;
+
+      return;
+    }
+
+    page = Number(page ?? firstPage);
+
+    if (this.nextPage === undefined) {
+      this.nextPage = pageLength ? page + step : null;
+    }
+
+    if (this.previousPage === undefined) {
+      this.previousPage = page > firstPage ? Math.max(page - step, firstPage) : null;
+    }
+  }
+
+  _getPageParam(params: Record<string, any> = {}) {
+    const { strategy, param = strategy } = (this.constructor as typeof Collection).pagination!;
+
+    return params[param];
+  }
+
+  _getPageSizeParams() {
+    const { pageSize, pageSizeParam = "limit" } = (this.constructor as typeof Collection)
+      .pagination!;
+
+    return pageSize ? { [pageSizeParam]: pageSize } : {};
+  }
+
+  /**
+   * Whether the models that were in the collection before a change, and still are, are now in a
+   * different order.
+   */
+  _hasReordered(previousModels: InstanceType<M>[]) {
+    const previousModelSet = new Set(previousModels);
+    const currentModelSet = new Set(this.models);
+    const keptModels = previousModels.filter((model) => currentModelSet.has(model));
+
+    return this.models
+      .filter((model) => previousModelSet.has(model))
+      .some((model, index) => model !== keptModels[index]);
+  }
+
   /**
    * Private method to reset all internal state. Called when the collection
    * is first initialized or reset.
@@ -503,8 +986,9 @@ export default class Collection<
    * Internal method called by .remove() that, in addition to taking models out of the collection,
    * also removes their references in the collection as well as their listeners.
    */
-  _removeModels(models: (Model<T, O>["id"] | ModelArg<T, O>)[]) {
+  _removeModels(models: (Model<T, O>["id"] | ModelArg<T, O>)[], options: CSetOptions = {}) {
     const removed = [];
+    const indices = [];
 
     for (let i = 0; i < models.length; i++) {
       let model = this.get(models[i] as Model<T, O>["id"] | ModelArg<T, O>);
@@ -517,6 +1001,7 @@ export default class Collection<
 
       this.models.splice(index, 1);
       this.length--;
+      indices.push(index);
 
       delete this._byId[model.cid];
 
@@ -528,6 +1013,10 @@ export default class Collection<
       this._removeReference(model);
     }
 
+    if (!options.silent && removed.length) {
+      this.trigger("remove", removed, indices);
+    }
+
     return removed;
   }
 
@@ -538,6 +1027,19 @@ export default class Collection<
     return model instanceof Model;
   }
 
+  /**
+   * Records a change to the collection's models in its history. Undoing and redoing it set the
+   * models from before and after the change, which restores both membership and order.
+   */
+  _recordHistory(previousModels: InstanceType<M>[]) {
+    const models = this.models.slice();
+
+    this._history?.record({
+      undo: () => this.set(previousModels, { remove: true }),
+      redo: () => this.set(models, { remove: true }),
+    });
+  }
+
   /**
    * Internal method used by .set() when adding a model to a collection. Adds reference properties
    * on the collection for direct access to the model and subscribes the collection to model
@@ -554,6 +1056,7 @@ export default class Collection<
     }
 
     model.onUpdate(this.triggerUpdate, this);
+    model.on("change", (changed) => this.trigger("change", model, changed), this);
   }
 
   /**
@@ -573,6 +1076,7 @@ export default class Collection<
     delete model.collection;
 
     model.offUpdate(this);
+    model.off(this);
     model.unsubscribe();
   }
 
@@ -1,8 +1,14 @@
 import { noOp } from "./utils.js";
 import React, { type ReactElement } from "react";
-import { type SyncOptions, setRequestPrefilter } from "./sync.js";
+import { type Middleware, type SyncOptions, setRequestPrefilter } from "./sync.js";
 import { type ModelMap as _ModelMap } from "./types.js";
 
+export type RetryConfig = {
+  count: number;
+  statuses: number[] | ((status: number | undefined) => boolean);
+  backoff: (retry: number, response?: Response) => number;
+};
+
 export interface ResourcererConfig {
   cacheGracePeriod: number;
   errorBoundaryChild: ReactElement;
@@ -20,8 +26,18 @@ export interface ResourcererConfig {
     }
   ) => void;
   log: (...args: any[]) => void;
+  maxCacheBytes: number;
+  maxCacheSize: number;
+  middleware: Middleware[];
+  onAuthFailure: (response: Response) => void;
   prefilter: (options: SyncOptions) => SyncOptions | void;
-  set: (config: Partial<ResourcererConfig>) => void;
+  refetchOnFocus: boolean;
+  refetchOnReconnect: boolean;
+  refreshToken: (() => Promise<unknown>) | null;
+  retry: RetryConfig;
+  set: (
+    config: Partial<Omit<ResourcererConfig, "retry">> & { retry?: Partial<RetryConfig> },
+  ) => void;
 }
 
 export const register = (models: _ModelMap) => {
@@ -58,8 +74,69 @@ export const ResourcesConfig: ResourcererConfig = {
   ),
   /** {function}: Hook to send errors to a logging service. */
   log: noOp,
+  /**
+   * {number}: approximate size budget for the cache, measured by the length of each resource's
+   * serialized JSON. When it's exceeded, the least-recently-used resources that no longer have any
+   * registered components are removed right away instead of after their grace period. Default
+   * Infinity.
+   */
+  maxCacheBytes: Infinity,
+  /**
+   * {number}: maximum number of resources to keep in the cache. When it's exceeded, the
+   * least-recently-used resources that no longer have any registered components are removed right
+   * away instead of after their grace period. Default Infinity.
+   */
+  maxCacheSize: Infinity,
+  /**
+   * {Middleware[]}: Middleware that every request made via `sync` passes through, in order, before
+   * the middleware of the requesting Model/Collection class. Default none.
+   */
+  middleware: [],
+  /**
+   * {function}: Hook invoked with the 401 response when refreshing an access token via
+   * `refreshToken` fails, ie to log the user out.
+   */
+  onAuthFailure: noOp,
   /** {function}: Calls setRequestPrefilter */
   prefilter: noOp,
+  /**
+   * {boolean}: Whether resources being used by mounted components should be revalidated in the
+   * background when the document becomes visible again. Can be overridden per resource. Default
+   * false.
+   */
+  refetchOnFocus: false,
+  /**
+   * {boolean}: Whether resources being used by mounted components should be revalidated in the
+   * background when the browser comes back online. Can be overridden per resource. Default false.
+   */
+  refetchOnReconnect: false,
+  /**
+   * {function}: Refreshes an expired access token. When set, a request that fails with a 401 calls
+   * this once and is then replayed, so the prefilter or middleware that adds auth headers should
+   * read the current token each time. Concurrent 401s wait on a single refresh. Default null.
+   */
+  refreshToken: null,
+
+  /**
+   * {RetryConfig}: How failed fetch requests are retried before a resource goes into an error
+   * state. Can be overridden per Model/Collection via a static `retry` property or per resource via
+   * a `retry` config option.
+   *
+   *   * count {number} - max number of retries. Default 0, which means failed requests are never
+   *     retried
+   *   * statuses {number[]|function} - response statuses that should be retried, or a function
+   *     that takes the status and returns whether to retry. the status is undefined for network
+   *     errors. By default, network errors, 429s, and 5xxs are retried
+   *   * backoff {function} - takes the retry number (starting at 1) and the failed response and
+   *     returns the number of milliseconds to wait before retrying. By default, this respects a
+   *     Retry-After header and otherwise backs off exponentially from one second
+   */
+  retry: {
+    count: 0,
+    statuses: (status) => !status || status === 429 || status >= 500,
+    backoff: (retry, response) =>
+      getRetryAfter(response) ?? Math.min(1000 * 2 ** (retry - 1), 30000),
+  },
 
   /**
    * Method that should be used to stringify GET requests. By default, this uses URLSearchParams,
@@ -82,6 +159,29 @@ export const ResourcesConfig: ResourcererConfig = {
       setRequestPrefilter(config.prefilter);
     }
 
-    return Object.assign(this, config);
+    return Object.assign(
+      this,
+      config,
+      config.retry ? { retry: { ...this.retry, ...config.retry } } : {},
+    );
   },
 };
+
+/**
+ * Returns the number of milliseconds a Retry-After response header asks us to wait, which can be
+ * either a number of seconds or an HTTP date.
+ */
+function getRetryAfter(response?: Response) {
+  const retryAfter = response?.headers?.get("Retry-After");
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const date = new Date(retryAfter).getTime();
+
+    return (
+      !isNaN(seconds) ? seconds * 1000
+      : !isNaN(date) ? Math.max(date - Date.now(), 0)
+      : undefined
+    );
+  }
+}
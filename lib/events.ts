@@ -11,17 +11,99 @@ export interface Events {
 }
 */
 
+// while a transaction is running, the updates it has held back, keyed by emitter with their latest
+// arguments, and when each emitter was last updated while flushing them. "when" is a tick that
+// increases with every held-back update and every flushed one, so that they can be ordered.
+let currentTransaction: {
+  pending: Map<Events<any, any>, { args: any[]; tick: number }>;
+  flushed: Map<Events<any, any>, number>;
+  tick: number;
+} | null = null;
+
+/**
+ * Runs a function while holding back all updates triggered within it, ie from several `set` calls
+ * on a model or across many models in a collection, and then triggers a single update for each
+ * model or collection that would have been updated. Each gets the arguments of its latest update.
+ * Named events are still triggered right away, as are canonical models' updates to their
+ * subscribing models, which only hold back their own updates.
+ *
+ * Updates that are relayed while flushing, like a collection relaying its models' updates, are
+ * skipped if the emitter they are relayed to has already been updated since, so nothing is updated
+ * more than once for the same change. But any other update while flushing, ie from an update
+ * listener that sets another model, is held back and flushed as well. Nested transactions are part
+ * of the outermost one.
+ */
+export function transaction(fn: () => void) {
+  if (currentTransaction) {
+    return fn();
+  }
+
+  currentTransaction = { pending: new Map(), flushed: new Map(), tick: 0 };
+
+  try {
+    fn();
+  } finally {
+    const { pending, flushed } = currentTransaction;
+
+    try {
+      while (pending.size) {
+        const [emitter, { args, tick }] = pending.entries().next().value!;
+
+        pending.delete(emitter);
+        flushed.set(emitter, ++currentTransaction.tick);
+        flushUpdate(emitter, args, tick);
+      }
+    } finally {
+      currentTransaction = null;
+    }
+  }
+}
+
+/**
+ * Holds back an update until the current transaction is flushed. A relayed update is passed the
+ * tick of the update it relays, and it is skipped if the emitter has been updated since then.
+ */
+function holdUpdate(emitter: Events<any, any>, args: any[], relayedTick?: number) {
+  const { pending, flushed } = currentTransaction!;
+  const tick = relayedTick ?? ++currentTransaction!.tick;
+
+  if (relayedTick === undefined || (flushed.get(emitter) ?? -1) < relayedTick) {
+    pending.set(emitter, { args, tick: Math.max(tick, pending.get(emitter)?.tick ?? -1) });
+  }
+}
+
+/**
+ * Calls an emitter's update callbacks for a held-back update. Callbacks that are another emitter's
+ * `triggerUpdate`, ie a collection listening to its models, relay the update to that emitter.
+ */
+function flushUpdate(emitter: Events<any, any>, args: any[], tick: number) {
+  emitter._callbacks?.forEach(({ callback, context }) =>
+    callback === (context as Events<any, any> | undefined)?.triggerUpdate ?
+      holdUpdate(context as Events<any, any>, args, tick)
+    : callback.call(context, ...args),
+  );
+}
+
 /**
  * Very basic events module that gets mixed into the Model and Collection classes. Since all we
- * care about is whether we want to re-render our react components, we don't actually even care
- * about event names, nor event arguments. On every trigger, we're going to fire all callbacks.
- * And when removing the listener, all we need is the context (which is the component).
+ * care about is whether we want to re-render our react components, update callbacks don't
+ * actually even care about event names, nor event arguments. On every trigger, we're going to fire
+ * all callbacks. And when removing the listener, all we need is the context (which is the component).
+ *
+ * For listeners that need to know _what_ changed, ie virtualized lists, classes can also declare a
+ * map of named events and their arguments. Those are only triggered for their own listeners, and
+ * always in addition to an update.
  */
-export default class Events<Args extends any[] = []> {
+export default class Events<
+  Args extends any[] = [],
+  EventMap extends Record<string, any[]> = Record<string, never>,
+> {
   _callbacks: CallbackEntry<Args>[] = [];
 
+  _events: { [E in keyof EventMap]?: CallbackEntry<EventMap[E]>[] } = {};
+
   triggerUpdate(...args: Args) {
-    this._callbacks?.forEach(({ callback, context }) => callback.call(context, ...args));
+    currentTransaction ? holdUpdate(this, args) : this._triggerUpdate(...args);
   }
 
   onUpdate(callback: CallbackEntry<Args>["callback"], context: CallbackEntry<Args>["context"]) {
@@ -31,4 +113,30 @@ export default class Events<Args extends any[] = []> {
   offUpdate(ctx: CallbackEntry<Args>["context"]) {
     this._callbacks = (this._callbacks || []).filter(({ context }) => context !== ctx);
   }
+
+  trigger<E extends keyof EventMap>(name: E, ...args: EventMap[E]) {
+    this._events[name]?.forEach(({ callback, context }) => callback.call(context, ...args));
+  }
+
+  on<E extends keyof EventMap>(
+    name: E,
+    callback: CallbackEntry<EventMap[E]>["callback"],
+    context: CallbackEntry<EventMap[E]>["context"],
+  ) {
+    this._events[name] = (this._events[name] || []).concat({ callback, context });
+  }
+
+  /**
+   * Removes all named event listeners for a context, or only those for the given event names.
+   */
+  off(ctx: NonNullable<unknown>, ...names: (keyof EventMap)[]) {
+    for (let name of names.length ? names : Object.keys(this._events)) {
+      this._events[name] = this._events[name]?.filter(({ context }) => context !== ctx);
+    }
+  }
+
+  // calls every update callback, which is held back while a transaction is running
+  _triggerUpdate(...args: Args) {
+    this._callbacks?.forEach(({ callback, context }) => callback.call(context, ...args));
+  }
 }
@@ -0,0 +1,123 @@
+import { transaction } from "./events.js";
+
+/**
+ * Opts a Model or Collection class into undo/redo history via its static `history` property.
+ * `depth` is the number of steps that can be undone. default 100
+ */
+export type HistoryOptions = { depth?: number };
+
+type HistoryEntry = { undo: () => void; redo: () => void };
+
+const DEFAULT_DEPTH = 100;
+
+/**
+ * Undo and redo stacks for a single model or collection. Models and collections record an entry for
+ * each of their local edits, which knows how to both revert and reapply the edit, and each step on
+ * the stacks is a group of these entries that is undone or redone together.
+ *
+ * While a step is being undone or redone, nothing is recorded, since those edits are already part of
+ * the history.
+ */
+export default class History {
+  depth: number;
+
+  _undoStack: HistoryEntry[][] = [];
+
+  _redoStack: HistoryEntry[][] = [];
+
+  // entries recorded within a `group` call, which become a single step once it is finished
+  _group?: HistoryEntry[];
+
+  _isApplying = false;
+
+  constructor({ depth = DEFAULT_DEPTH }: HistoryOptions = {}) {
+    this.depth = depth;
+  }
+
+  /**
+   * Records an edit. A new edit means that whatever was undone can no longer be redone.
+   */
+  record(entry: HistoryEntry) {
+    if (this._isApplying) {
+      return;
+    } else if (this._group) {
+      this._group.push(entry);
+    } else {
+      this._push([entry]);
+    }
+  }
+
+  /**
+   * Records all edits made within the function as a single step. Groups can be nested, in which
+   * case the outermost group is the step.
+   */
+  group(fn: () => void) {
+    if (this._group) {
+      return fn();
+    }
+
+    this._group = [];
+
+    try {
+      fn();
+    } finally {
+      if (this._group.length) {
+        this._push(this._group);
+      }
+
+      delete this._group;
+    }
+  }
+
+  undo() {
+    const step = this._undoStack.pop();
+
+    if (step) {
+      this._apply(() =>
+        step
+          .slice()
+          .reverse()
+          .forEach(({ undo }) => undo()),
+      );
+      this._redoStack.push(step);
+    }
+  }
+
+  redo() {
+    const step = this._redoStack.pop();
+
+    if (step) {
+      this._apply(() => step.forEach(({ redo }) => redo()));
+      this._undoStack.push(step);
+    }
+  }
+
+  canUndo() {
+    return !!this._undoStack.length;
+  }
+
+  canRedo() {
+    return !!this._redoStack.length;
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  _push(step: HistoryEntry[]) {
+    this._undoStack = this._undoStack.concat([step]).slice(-this.depth);
+    this._redoStack = [];
+  }
+
+  _apply(fn: () => void) {
+    this._isApplying = true;
+
+    try {
+      // a step can make several changes, but subscribed components only need to update once
+      transaction(fn);
+    } finally {
+      this._isApplying = false;
+    }
+  }
+}
@@ -1,9 +1,21 @@
-import { ResourcesConfig } from "./config.js";
+import { ModelMap, ResourcesConfig } from "./config.js";
 import Collection from "./collection.js";
 import Model from "./model.js";
-import { ResourceKeys } from "./types.js";
+import { InternalResourceConfigObj, ResourceKeys } from "./types.js";
 
 type Component = NonNullable<unknown>;
+type Poll = {
+  interval: number;
+  refetch: () => Promise<unknown>;
+  timeout?: number;
+  paused?: boolean;
+};
+type Revalidation = {
+  onFocus?: boolean;
+  onReconnect?: boolean;
+  staleTime?: number;
+  revalidate: (options?: { fresh?: boolean }) => Promise<unknown>;
+};
 
 // this is where all of our cached resources are stored
 const modelCache = new Map<string, Model | Collection>();
@@ -15,6 +27,28 @@ const componentManifest = new Map<string, Set<Component>>();
 // during the cache grace period, another component requests the resource, we
 // can cancel the cache removal.
 const timeouts: Record<string, number> = {};
+// timestamps of when each cached resource was last fetched from the server. these are used to
+// determine whether a resource has gone stale and should be revalidated in the background.
+const fetchTimes = new Map<string, number>();
+// background refetches for polled resources, keyed by cache key. a poll only runs while its
+// resource has components registered, and it is paused while the document is hidden.
+const polls = new Map<string, Poll>();
+// resources to revalidate when the document becomes visible again or the browser comes back online,
+// keyed by cache key and then by the component that asked for it, since components can request the
+// same resource with different options. like polls, these only apply while components are registered.
+const revalidations = new Map<string, Map<Component, Revalidation>>();
+// tags associated with each cached resource, keyed by cache key. these let us invalidate related
+// resources across different resource keys.
+const cacheTags = new Map<string, Set<string>>();
+// cache keys ordered from least- to most-recently used. when the cache grows past its configured
+// size, the least-recently-used resources without registered components are evicted first.
+const accessOrder = new Set<string>();
+// the serialized size of each cached resource, for the `maxCacheBytes` budget. resources are only
+// measured once there's a budget, and they are measured again after they are put or refetched.
+const cacheSizes = new Map<string, number>();
+// callbacks invoked with a cache key whenever that resource is added to, refetched, or removed from
+// the cache, ie for persisting the cache, along with whether it was only evicted
+const changeListeners = new Set<(cacheKey: string, evicted: boolean) => void>();
 
 /**
  * This module holds references to all of our returned resources as well as a
@@ -26,9 +60,14 @@ const timeouts: Record<string, number> = {};
  * requested a resource. If that resource no longer has any components in its
  * set, it is scheduled for cache removal. That time period can be configured
  * with the `cacheGracePeriod` config option with the `setConfig` function.
+ *
+ * If the cache grows larger than the `maxCacheSize` or `maxCacheBytes` config options, resources
+ * that are scheduled for removal are instead evicted right away, least-recently-used first.
  */
 const ModelCache = {
   get(cacheKey: string) {
+    touch(cacheKey);
+
     return modelCache.get(cacheKey);
   },
 
@@ -41,12 +80,18 @@ const ModelCache = {
    */
   put(cacheKey: string, model: Model | Collection, component?: Component) {
     modelCache.set(cacheKey, model);
+    cacheSizes.delete(cacheKey);
+    touch(cacheKey);
+    notifyChange(cacheKey);
 
     if (component) {
       this.register(cacheKey, component);
     } else {
       scheduleForRemoval(cacheKey);
     }
+
+    // the resource being put is about to be used, so it shouldn't be evicted before it can be
+    evictLeastRecentlyUsed(cacheKey);
   },
 
   /**
@@ -55,6 +100,7 @@ const ModelCache = {
    */
   register(cacheKey: string, component?: Component) {
     if (component) {
+      touch(cacheKey);
       window.clearTimeout(timeouts[cacheKey]);
       componentManifest.set(cacheKey, componentManifest.get(cacheKey) || new Set());
       componentManifest.get(cacheKey)?.add(component);
@@ -77,12 +123,134 @@ const ModelCache = {
 
       if (componentSet && componentSet.has(component)) {
         componentSet.delete(component);
+        revalidations.get(cacheKey)?.delete(component);
 
         if (!componentSet.size) {
+          stopRefetching(cacheKey);
           scheduleForRemoval(cacheKey);
         }
       }
     }
+
+    updateWindowListeners();
+    evictLeastRecentlyUsed();
+  },
+
+  /**
+   * Records that the resource at a cache key has just been fetched from the server. A fetch time can
+   * be passed for resources that were fetched earlier, ie those restored from a persisted cache.
+   * Resources that have since been removed from the cache are ignored.
+   */
+  markFetched(cacheKey: string, fetchTime = Date.now()) {
+    if (modelCache.has(cacheKey)) {
+      fetchTimes.set(cacheKey, fetchTime);
+      cacheSizes.delete(cacheKey);
+      notifyChange(cacheKey);
+    }
+  },
+
+  /**
+   * Returns the timestamp at which a resource was last fetched, or undefined if it was never
+   * fetched (ie, it was put in the cache without a request).
+   */
+  getFetchTime(cacheKey: string) {
+    return fetchTimes.get(cacheKey);
+  },
+
+  /**
+   * Whether a resource has been in the cache longer than the given staleTime since it was last
+   * fetched. Resources that were never fetched are never considered stale.
+   */
+  isStale(cacheKey: string, staleTime: number) {
+    const fetchTime = fetchTimes.get(cacheKey);
+
+    return fetchTime !== undefined && Date.now() - fetchTime >= staleTime;
+  },
+
+  /**
+   * Associates tags with the resource at a cache key, in addition to any it already has, so that it
+   * can be invalidated by tag. Resources that aren't in the cache can't be tagged.
+   */
+  tag(cacheKey: string, tags: string[]) {
+    if (modelCache.has(cacheKey) && tags.length) {
+      cacheTags.set(cacheKey, new Set([...(cacheTags.get(cacheKey) || []), ...tags]));
+    }
+  },
+
+  /**
+   * Returns all cache keys whose resources have been tagged with any of the given tags.
+   */
+  keysWithTags(tags: string[]) {
+    return [...cacheTags]
+      .filter(([, resourceTags]) => tags.some((tag) => resourceTags.has(tag)))
+      .map(([cacheKey]) => cacheKey);
+  },
+
+  /**
+   * Refetches the resource at a cache key every `interval` milliseconds for as long as it has
+   * components registered. Only one poll runs per cache key; if one is already running, the
+   * shorter of the two intervals wins. Polls pause while the document is hidden and refetch as
+   * soon as it becomes visible again.
+   */
+  poll(cacheKey: string, interval: number, refetch: () => Promise<unknown>) {
+    const currentPoll = polls.get(cacheKey);
+
+    if (
+      !componentManifest.get(cacheKey)?.size ||
+      (currentPoll && currentPoll.interval <= interval)
+    ) {
+      return;
+    }
+
+    window.clearTimeout(currentPoll?.timeout);
+    polls.set(cacheKey, { interval, refetch });
+    schedulePoll(cacheKey, polls.get(cacheKey)!);
+    updateWindowListeners();
+  },
+
+  /**
+   * Registers a function that revalidates the resource at a cache key for as long as the given
+   * component is registered for it. This is how mounted resources are refetched when they are
+   * invalidated with the `refetch` option. It also revalidates the resource whenever the document
+   * becomes visible again (`onFocus`) or the browser comes back online (`onReconnect`). If passed a
+   * `staleTime`, the resource is only revalidated on those events once it has gone stale, so that
+   * quickly switching between tabs doesn't refetch it every time.
+   *
+   * Each component keeps its own options, and the resource is revalidated (once) on an event if
+   * any of its components' options call for it.
+   */
+  revalidateOn(
+    cacheKey: string,
+    component: Component,
+    { onFocus, onReconnect, staleTime }: Omit<Revalidation, "revalidate">,
+    revalidate: Revalidation["revalidate"],
+  ) {
+    if (componentManifest.get(cacheKey)?.has(component)) {
+      revalidations.set(cacheKey, revalidations.get(cacheKey) || new Map());
+      revalidations.get(cacheKey)?.set(component, { onFocus, onReconnect, staleTime, revalidate });
+      updateWindowListeners();
+    }
+  },
+
+  /**
+   * Returns all cache keys currently in the cache.
+   */
+  keys() {
+    return [...modelCache.keys()];
+  },
+
+  /**
+   * Adds a callback that is invoked with a cache key whenever a resource is put in the cache,
+   * marked as fetched, or removed from the cache. The second argument is true if the resource was
+   * only evicted, ie after its cache grace period, rather than removed or invalidated. Returns a
+   * function that removes the callback.
+   */
+  onChange(callback: (cacheKey: string, evicted: boolean) => void) {
+    changeListeners.add(callback);
+
+    return () => {
+      changeListeners.delete(callback);
+    };
   },
 
   /**
@@ -99,7 +267,7 @@ const ModelCache = {
    */
   removeAllWithModel(resourceKey: string) {
     for (const key of modelCache.keys()) {
-      if (key === resourceKey || key.startsWith(`${resourceKey}~`)) {
+      if (hasResourceKey(key, [resourceKey])) {
         this.remove(key);
       }
     }
@@ -110,10 +278,7 @@ const ModelCache = {
    */
   removeAllExcept(resourceKeys: string[]) {
     for (const key of modelCache.keys()) {
-      if (
-        !resourceKeys.includes(key) &&
-        !resourceKeys.some((resourceKey) => key.startsWith(`${resourceKey}~`))
-      ) {
+      if (!hasResourceKey(key, resourceKeys)) {
         this.remove(key);
       }
     }
@@ -122,6 +287,8 @@ const ModelCache = {
   // internal only
   __removeAll__() {
     modelCache.forEach((val, key) => clearModel(key));
+    polls.forEach((val, key) => stopRefetching(key));
+    revalidations.forEach((val, key) => stopRefetching(key));
     componentManifest.forEach((val, key) => componentManifest.delete(key));
   },
 };
@@ -136,30 +303,252 @@ function scheduleForRemoval(cacheKey: string) {
   const Constructor = modelCache.get(cacheKey)?.constructor as typeof Model | typeof Collection;
   const timeout = Constructor?.cacheTimeout || ResourcesConfig.cacheGracePeriod;
 
-  timeouts[cacheKey] = window.setTimeout(() => clearModel(cacheKey), timeout);
+  timeouts[cacheKey] = window.setTimeout(() => clearModel(cacheKey, true), timeout);
+}
+
+/**
+ * Marks a resource as the most recently used.
+ */
+function touch(cacheKey: string) {
+  if (modelCache.has(cacheKey)) {
+    accessOrder.delete(cacheKey);
+    accessOrder.add(cacheKey);
+  }
+}
+
+/**
+ * Removes the least-recently-used resources without any registered components until the cache is
+ * back within its `maxCacheSize` and `maxCacheBytes` limits. Resources in use, as well as the
+ * optional exempt resource, are never evicted, so the cache can remain over its limits if they
+ * alone exceed them.
+ */
+function evictLeastRecentlyUsed(exemptCacheKey?: string) {
+  const { maxCacheSize, maxCacheBytes } = ResourcesConfig;
+  // sizes are only measured when there's a byte budget, since serializing resources isn't free
+  let totalBytes =
+    maxCacheBytes < Infinity ?
+      [...modelCache.keys()].reduce((sum, cacheKey) => sum + getSize(cacheKey), 0)
+    : 0;
+
+  for (const cacheKey of [...accessOrder]) {
+    if (modelCache.size <= maxCacheSize && totalBytes <= maxCacheBytes) {
+      return;
+    }
+
+    if (cacheKey !== exemptCacheKey && !componentManifest.get(cacheKey)?.size) {
+      totalBytes -= cacheSizes.get(cacheKey) || 0;
+      clearModel(cacheKey, true);
+      componentManifest.delete(cacheKey);
+    }
+  }
+}
+
+/**
+ * Returns the serialized size of a cached resource, measuring it if it hasn't been measured since
+ * it was last put or fetched.
+ */
+function getSize(cacheKey: string) {
+  if (!cacheSizes.has(cacheKey)) {
+    cacheSizes.set(cacheKey, JSON.stringify(modelCache.get(cacheKey)).length);
+  }
+
+  return cacheSizes.get(cacheKey)!;
+}
+
+/**
+ * Waits a poll's interval before refetching its resource. If the document is hidden at that time,
+ * the poll is paused until it becomes visible. The next refetch is only scheduled once the current
+ * one completes, so that slow requests never pile up.
+ */
+function schedulePoll(cacheKey: string, poll: Poll) {
+  poll.timeout = window.setTimeout(() => {
+    if (document.hidden) {
+      poll.paused = true;
+    } else {
+      runPoll(cacheKey, poll);
+    }
+  }, poll.interval);
+}
+
+/**
+ * Refetches a polled resource and schedules the next refetch, as long as the poll hasn't been
+ * stopped or replaced in the meantime.
+ */
+function runPoll(cacheKey: string, poll: Poll) {
+  const scheduleNext = () => polls.get(cacheKey) === poll && schedulePoll(cacheKey, poll);
+
+  poll.refetch().then(scheduleNext, scheduleNext);
+}
+
+/**
+ * Revalidates all resources that should be revalidated for the given event, skipping any that have
+ * a staleTime and haven't yet gone stale.
+ */
+function revalidateAll(event: "onFocus" | "onReconnect") {
+  revalidations.forEach((componentRevalidations, cacheKey) => {
+    const revalidation = [...componentRevalidations.values()].find(
+      ({ staleTime, ...events }) =>
+        events[event] && (staleTime === undefined || ModelCache.isStale(cacheKey, staleTime)),
+    );
+
+    revalidation?.revalidate();
+  });
+}
+
+/**
+ * visibilitychange handler that, once the document is visible again, immediately refetches any
+ * resources whose polls were paused while it was hidden as well as those that revalidate on focus.
+ */
+function onVisibilityChange() {
+  if (!document.hidden) {
+    polls.forEach((poll, cacheKey) => {
+      if (poll.paused) {
+        delete poll.paused;
+        runPoll(cacheKey, poll);
+      }
+    });
+
+    revalidateAll("onFocus");
+  }
+}
+
+/**
+ * online handler that revalidates resources that should be refetched when the network reconnects.
+ */
+function onOnline() {
+  revalidateAll("onReconnect");
+}
+
+/**
+ * Only listens to window events while there are resources that need them. Adding an event listener
+ * that is already attached is a no-op, so this is safe to call any time a resource is added or
+ * removed.
+ */
+function updateWindowListeners() {
+  const shouldListen =
+    polls.size ||
+    [...revalidations.values()].some((componentRevalidations) =>
+      [...componentRevalidations.values()].some(
+        ({ onFocus, onReconnect }) => onFocus || onReconnect,
+      ),
+    );
+  const method = shouldListen ? "addEventListener" : "removeEventListener";
+
+  document[method]("visibilitychange", onVisibilityChange);
+  window[method]("online", onOnline);
+}
+
+/**
+ * Stops all background refetches of a resource, ie when it no longer has any components registered.
+ */
+function stopRefetching(cacheKey: string) {
+  window.clearTimeout(polls.get(cacheKey)?.timeout);
+  polls.delete(cacheKey);
+  revalidations.delete(cacheKey);
+  updateWindowListeners();
 }
 
 /**
- * Remove a model from the cache, unsubscribing from any canonical models.
+ * Remove a model from the cache, unsubscribing from any canonical models. Models that are removed
+ * because they are no longer in use, rather than because they were invalidated, are evicted.
  */
-function clearModel(cacheKey: string) {
+function clearModel(cacheKey: string, evicted = false) {
   modelCache.get(cacheKey)?.unsubscribe();
   window.clearTimeout(timeouts[cacheKey]);
   delete timeouts[cacheKey];
-  modelCache.delete(cacheKey);
+  fetchTimes.delete(cacheKey);
+  cacheTags.delete(cacheKey);
+  accessOrder.delete(cacheKey);
+  cacheSizes.delete(cacheKey);
+  stopRefetching(cacheKey);
+
+  if (modelCache.delete(cacheKey)) {
+    notifyChange(cacheKey, evicted);
+  }
+}
+
+/**
+ * Whether a cache key belongs to any of the given resource keys, either as the resource key itself
+ * or with params or body appended.
+ */
+function hasResourceKey(cacheKey: string, resourceKeys: string[]) {
+  return resourceKeys.some(
+    (resourceKey) => cacheKey === resourceKey || cacheKey.startsWith(`${resourceKey}~`),
+  );
+}
+
+/**
+ * Lets all change listeners know that the resource at a cache key has changed.
+ */
+function notifyChange(cacheKey: string, evicted = false) {
+  changeListeners.forEach((callback) => callback(cacheKey, evicted));
+}
+
+/**
+ * Calculates a cache key for the resource depending on the base resource type
+ * key and the truthy parameter values. Parameter values are calculated in via
+ * the constructor's static `dependencies` array:
+ *
+ *   `dependencies` values are taken directly from the config object as opposed
+ *   to props, in the following order: `path` object, `data` object,
+ *   `params` object. Field keys are included in this method, which is why it is
+ *   preferred. `dependencies` entries can be functions, too, which take the
+ *   `params` object as a parameter and return a key/value object that gets
+ *   flattened to a piece of the cache key.
+ */
+export function getCacheKey({
+  resourceKey,
+  params = {},
+  path = {},
+  data = {},
+}: InternalResourceConfigObj) {
+  const Constructor = ModelMap[resourceKey] as typeof Model | typeof Collection | undefined;
+  const toKeyValString = ([key, val]: [string, any]) => (val ? `${key}=${val}` : ""),
+    fields = (Constructor?.dependencies || [])
+      .map((key) =>
+        typeof key === "function" ?
+          Object.entries(key(params)).map(toKeyValString).join("_")
+        : toKeyValString([key, path[key] || data[key] || params[key]]),
+      )
+      .filter(Boolean);
+
+  return `${resourceKey || ""}${fields.length ? `~${fields.sort().join("_")}` : ""}`;
 }
 
 /**
  * For each resourceKey, find all entries in the cache and remove them. If the `except` option is
  * true, remove all entries except those specified.
+ *
+ * Instead of resource keys, this can also be passed an object of `tags`, in which case all entries
+ * tagged with any of them are removed, regardless of their resource key.
+ *
+ * With the `refetch` option, entries that still have components registered are refetched in the
+ * background instead of being removed, so that those components update in place without going back
+ * into a loading state. Entries that aren't in use are still removed.
  */
 export function invalidate(
-  keys: ResourceKeys | ResourceKeys[],
-  { except }: { except?: boolean } = {},
+  keys: ResourceKeys | ResourceKeys[] | { tags: string[] },
+  { except, refetch }: { except?: boolean; refetch?: boolean } = {},
 ) {
-  keys = Array.isArray(keys) ? keys : [keys];
+  let isInvalidated: (cacheKey: string) => boolean;
+
+  if (!Array.isArray(keys) && typeof keys === "object") {
+    const taggedKeys = ModelCache.keysWithTags(keys.tags);
+
+    isInvalidated = (cacheKey) => taggedKeys.includes(cacheKey);
+  } else {
+    const resourceKeys = Array.isArray(keys) ? keys : [keys];
+
+    isInvalidated = (cacheKey) => hasResourceKey(cacheKey, resourceKeys);
+  }
+
+  ModelCache.keys()
+    .filter((cacheKey) => isInvalidated(cacheKey) !== !!except)
+    .forEach((cacheKey) => {
+      // every component's revalidation refetches the same resource, so any one of them will do
+      const [revalidation] = (refetch && revalidations.get(cacheKey)?.values()) || [];
 
-  except ?
-    ModelCache.removeAllExcept(keys)
-  : keys.forEach((key) => ModelCache.removeAllWithModel(key));
+      // a request already in flight may have been sent before whatever prompted the invalidation
+      revalidation ? revalidation.revalidate({ fresh: true }) : ModelCache.remove(cacheKey);
+    });
 }
@@ -1,9 +1,12 @@
 import { getNestedValue, isDeepEqual, result, uniqueId, urlError } from "./utils.js";
 
-import Events from "./events.js";
-import sync, { type SyncOptions } from "./sync.js";
+import Events, { transaction } from "./events.js";
+import History, { type HistoryOptions } from "./history.js";
+import sync, { type Middleware, type SyncOptions, type Validators } from "./sync.js";
+import type { RetryConfig } from "./config.js";
 import Collection from "./collection.js";
-import { NestedKeys, ResourceConfigObj } from "./types.js";
+import { NestedKeys, ResourceConfigObj, Tags } from "./types.js";
+import { type Schema, coerceAttributes, serializeAttributes } from "./schema.js";
 import CanonicalModel from "./canonical-model.js";
 import CanonicalModelCache from "./canonical-model-cache.js";
 
@@ -27,10 +30,69 @@ export type CanonicalModelSubscription<
 export type SetOptions = {
   silent?: boolean;
   unset?: boolean;
+  validate?: boolean;
+  history?: boolean;
   source?: "subscription" | "self";
   subscribe?: boolean;
 };
 
+export type ConflictResolver<T extends Record<string, any> = Record<string, any>> = (
+  local: T,
+  remote: T,
+  base: T,
+) => Partial<T> | null | undefined | void;
+
+// a nested model or collection of a model. see the static `relations` property
+export type Relation =
+  | { type: "hasOne"; Model: new (...args: any[]) => Model<any, any>; path?: string }
+  | {
+      type: "hasMany";
+      Collection?: new (...args: any[]) => Collection<any, any>;
+      Model?: new (...args: any[]) => Model<any, any>;
+      path?: string;
+    };
+
+// field-level error messages returned by a model's `validate` method, keyed by attribute
+export type ValidationErrors<T extends Record<string, any> = Record<string, any>> = Partial<
+  Record<keyof T, string>
+>;
+
+/**
+ * The error a save rejects with, without making a request, when the model's `validate` method
+ * returns errors for the attributes to be saved. `errors` is the field-level error map, which is
+ * also kept on the model as `validationError`.
+ */
+export class ValidationError<T extends Record<string, any> = Record<string, any>> extends Error {
+  errors: ValidationErrors<T>;
+
+  constructor(errors: ValidationErrors<T>) {
+    super(`Model is invalid: ${Object.keys(errors).join(", ")}`);
+
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * The error a save rejects with when optimistic concurrency is enabled and the server responds with
+ * a 412 Precondition Failed or a 409 Conflict, meaning the record was changed by someone else since
+ * we last fetched it. `remote` is the server's current representation of the record.
+ */
+export class ConflictError<T extends Record<string, any> = Record<string, any>> extends Error {
+  response: Response;
+  status: number;
+  remote: T;
+
+  constructor(response: Response, remote: T) {
+    super(`Save conflicted with a newer version on the server (${response.status})`);
+
+    this.name = "ConflictError";
+    this.response = response;
+    this.status = response.status;
+    this.remote = remote;
+  }
+}
+
 const RESERVED_OPTION_KEYS = [
   "Model",
   "comparator",
@@ -39,8 +101,16 @@ const RESERVED_OPTION_KEYS = [
   "silent",
   "method",
   "unset",
+  "validate",
+  "history",
 ];
 
+// named events a model triggers along with its updates. `change` gets just the attributes that changed
+export type ModelEvents<T extends Record<string, any>> = {
+  change: [changed: Partial<T>];
+  invalid: [errors: ValidationErrors<T>];
+};
+
 /**
  * The Model class should be extended for any resource that is singular, as in not a list of items.
  * It is the core class used to represent server data in the client application (Collections are
@@ -56,17 +126,35 @@ const RESERVED_OPTION_KEYS = [
 export default class Model<
   T extends Record<string, any> = Record<string, any>,
   O extends Record<string, any> = Record<string, any>,
-> extends Events<[]> {
+> extends Events<[], ModelEvents<T>> {
   cid: string;
   id: string | number;
   attributes: T;
   readonly urlOptions: O = {} as O;
   collection?: Collection;
+  // the model that this model is a `hasOne` relation of, if any
+  parent?: Model<any, any>;
   lazy?: boolean;
   refetching?: boolean;
+  revalidating?: boolean;
+  validators?: Validators;
   measure?: boolean | ((config: ResourceConfigObj) => boolean);
   isEmptyModel?: boolean;
 
+  // field-level errors from the last failed validation, or null if the last validation passed
+  validationError?: ValidationErrors<T> | null;
+
+  // the attributes that changed in the last .set() call, and all attributes from before that call
+  _changed: Partial<T> = {};
+  _previousAttributes = {} as T;
+  // a copy of the attributes from the last time the model was in sync with the server, with the data
+  // of child models and collections in place of the instances (see `_snapshotAttributes`)
+  _syncedAttributes = {} as T;
+  // the path under the parent's url, for relations without a url of their own
+  _parentPath?: string;
+  // undo/redo stacks, for model classes with history enabled
+  _history?: History;
+
   /**
    * @param {object} attributes - initial server data representation to be kept on the model
    * @param {object} options - generic map. in the default constructor, use:
@@ -114,6 +202,16 @@ export default class Model<
     }
 
     this.set(attrs, options);
+
+    // a model's initial attributes don't count as changes
+    this._changed = {};
+    this._markSynced();
+
+    const { history } = this.constructor as typeof Model;
+
+    if (history) {
+      this._history = new History(history === true ? {} : history);
+    }
   }
 
   /**
@@ -137,6 +235,54 @@ export default class Model<
    */
   static cacheTimeout: number;
 
+  /**
+   * Number of milliseconds after a fetch that a cached resource is considered stale. When a
+   * component requests a stale resource, the cached version is returned immediately and a
+   * background request revalidates it. By default, resources never go stale.
+   */
+  static staleTime: number;
+
+  /**
+   * Use this to override the default library-wide retry config set in the config for failed
+   * fetches of this model.
+   */
+  static retry: Partial<RetryConfig>;
+
+  /**
+   * Tags to associate with every cached instance of this model, so that it can be invalidated along
+   * with related resources of other resource keys via `invalidate({tags})`. Can also be a function
+   * that takes the resource config object, ie to derive tags from its path or params.
+   */
+  static tags: Tags;
+
+  /**
+   * Middleware that every request for this model passes through after the global middleware from
+   * the config, ie to add headers or normalize errors for a specific API.
+   */
+  static middleware: Middleware[] = [];
+
+  /**
+   * Opts this model into optimistic concurrency control. When true, saves of existing models send
+   * an If-Match header with the model's version, which is the value of its `versionAttribute` if it
+   * has one, or otherwise the ETag of the last response. If the record has been changed on the
+   * server since, the save rejects with a ConflictError, unless it is resolved via `resolveConflict`.
+   */
+  static optimisticConcurrency = false;
+
+  /**
+   * The attribute holding the record's version, for optimistic concurrency with APIs that don't
+   * send ETags.
+   */
+  static versionAttribute: string;
+
+  /**
+   * When a save conflicts, this is invoked with the attributes we tried to save, the server's
+   * current attributes, and the attributes we had before saving. It can return merged attributes,
+   * which are then saved against the server's current version, or nothing to give up. Can also be
+   * passed per save as a `resolveConflict` option.
+   */
+  static resolveConflict: ConflictResolver<any> | undefined;
+
   /**
    * Default attributes on a model. Can be an object or a function that returns an object.
    */
@@ -153,12 +299,48 @@ export default class Model<
 
   static CanonicalModel: (new (...args: any[]) => CanonicalModel<any>) | null = null;
 
+  /**
+   * Declares the types of the model's attributes, ie `{createdAt: "date", author: AuthorModel}`.
+   * Attributes are coerced into their types whenever they are set, including after being parsed
+   * from a server response, and serialized back in `toJSON`. Model and Collection fields are
+   * shorthand for `hasOne` and `hasMany` relations (see `relations`). Use `SchemaAttributes` to
+   * infer the model's attribute types from its schema.
+   */
+  static schema: Schema | null = null;
+
+  /**
+   * Declares attributes that hold nested resources, which are turned into child Models (`hasOne`)
+   * or Collections (`hasMany`) whenever they are set, ie
+   * `{items: {type: "hasMany", Collection: ItemsCollection}}`. Existing children are updated in
+   * place, their updates bubble up to this model, and they are serialized back in `toJSON`.
+   * Children without a url of their own are nested under this model's url, at `path` if given or
+   * otherwise at their attribute key.
+   */
+  static relations: Record<string, Relation> = {};
+
+  /**
+   * Opts this model into undo/redo history for its `set`, `unset`, and `clear` calls. Can be an
+   * object with a `depth`, which is the number of steps that can be undone. Changes made by server
+   * requests and canonical model subscriptions are not recorded.
+   */
+  static history: boolean | HistoryOptions = false;
+
   /**
    * Returns a copy of the model's `attributes` object. Use this method to get the current entire
-   * server data representation.
+   * server data representation. If the model has a schema or relations, attributes are serialized
+   * back into their JSON form, ie dates as ISO strings and child models as plain objects.
    */
   toJSON(): T {
-    return { ...this.attributes };
+    const { schema } = this.constructor as typeof Model;
+    const attrs = schema ? serializeAttributes(schema, this.attributes) : { ...this.attributes };
+
+    for (let key of Object.keys(this._getRelations())) {
+      if (attrs[key] instanceof Model || attrs[key] instanceof Collection) {
+        attrs[key] = attrs[key].toJSON();
+      }
+    }
+
+    return attrs as T;
   }
 
   /**
@@ -192,20 +374,137 @@ export default class Model<
     return ![undefined, null].includes(this.get(attr));
   }
 
+  /**
+   * Returns the attributes that changed in the most recent .set() call, which includes the sets
+   * made by .save() and .fetch().
+   */
+  changedAttributes(): Partial<T> {
+    return { ...this._changed };
+  }
+
+  /**
+   * Whether an attribute changed in the most recent .set() call. Without an attribute, whether any
+   * attribute changed at all.
+   */
+  hasChanged(attr?: keyof T): boolean {
+    return attr === undefined ? !!Object.keys(this._changed).length : attr in this._changed;
+  }
+
+  /**
+   * Gets the value an attribute had before the most recent .set() call.
+   */
+  previous<K extends keyof T>(attr: K): T[K] {
+    return this._previousAttributes[attr];
+  }
+
+  /**
+   * Returns a copy of all attributes from before the most recent .set() call.
+   */
+  previousAttributes(): T {
+    return { ...this._previousAttributes };
+  }
+
+  /**
+   * Returns the attributes that differ from the last time the model was fetched or saved (or
+   * instantiated, if it has never been synced), ie those edited in a form. Attributes that have
+   * been unset are included as undefined.
+   */
+  dirtyAttributes(): Partial<T> {
+    const attributes = this._snapshotAttributes();
+    const keys = new Set([...Object.keys(this._syncedAttributes), ...Object.keys(attributes)]);
+
+    return [...keys]
+      .filter((key) => !isDeepEqual(this._syncedAttributes[key], attributes[key]))
+      .reduce((memo, key) => Object.assign(memo, { [key]: this.attributes[key] }), {});
+  }
+
+  /**
+   * Whether an attribute differs from the last time the model was synced. Without an attribute,
+   * whether any attribute does.
+   */
+  isDirty(attr?: keyof T): boolean {
+    return attr === undefined ?
+        !!Object.keys(this.dirtyAttributes()).length
+      : !isDeepEqual(this._syncedAttributes[attr], this._snapshotAttributes()[attr]);
+  }
+
+  /**
+   * For models with history enabled, reverts the most recent step in its history. Subscribed
+   * components are updated as with any other set call.
+   */
+  undo(): this {
+    this._history?.undo();
+
+    return this;
+  }
+
+  /**
+   * For models with history enabled, reapplies the most recently undone step.
+   */
+  redo(): this {
+    this._history?.redo();
+
+    return this;
+  }
+
+  canUndo(): boolean {
+    return !!this._history?.canUndo();
+  }
+
+  canRedo(): boolean {
+    return !!this._history?.canRedo();
+  }
+
+  /**
+   * Records all changes made within the function as a single step in the model's history, so that
+   * they are undone and redone together.
+   */
+  groupHistory(fn: () => void): this {
+    this._history ? this._history.group(fn) : fn();
+
+    return this;
+  }
+
+  clearHistory(): this {
+    this._history?.clear();
+
+    return this;
+  }
+
   /**
    * This is how we change attribute values on a model. When we call .save(), this happens before
    * the request fires, and when we call .fetch(), this happens after the request returns. Unless
    * called with a {silent: true} flag, this will trigger an update for all subscribed components
    * to reflect the new changes.
+   *
+   * Every call also records what changed and the previous attributes. See `changedAttributes`.
+   *
+   * Pass {validate: true} to run the attributes through `validate` first. If they are invalid,
+   * nothing is set, and the errors are kept as `validationError`.
+   *
+   * If the model has a schema, attributes are coerced into their declared types before being set,
+   * and any relations are set as child models and collections.
    */
   set(attrs: Partial<T> = {}, options: SetOptions = {}): this {
+    const { schema } = this.constructor as typeof Model;
     const prevId = this.id;
-    let hasSomethingChanged = false;
+    const changed: Partial<T> = {};
+
+    if (schema) {
+      attrs = coerceAttributes(schema, attrs);
+    }
+
+    if (options.validate && !this._validate(attrs, options)) {
+      return this;
+    }
+
+    attrs = this._setRelations(attrs, options);
+    this._previousAttributes = { ...this.attributes };
 
     // For each `set` attribute, update or delete the current value.
     for (let attr of Object.keys(attrs)) {
-      if (!hasSomethingChanged && !isDeepEqual(this.attributes[attr], attrs[attr] as T[keyof T])) {
-        hasSomethingChanged = true;
+      if (!isDeepEqual(this.attributes[attr], attrs[attr] as T[keyof T])) {
+        changed[attr as keyof T] = attrs[attr];
       }
 
       options.unset ?
@@ -213,6 +512,14 @@ export default class Model<
       : (this.attributes[attr as keyof T] = attrs[attr] as T[keyof T]);
     }
 
+    const hasSomethingChanged = !!Object.keys(changed).length;
+
+    this._changed = changed;
+
+    if (hasSomethingChanged && options.history !== false && options.source !== "subscription") {
+      this._recordHistory(changed, options);
+    }
+
     // the option.source check is to prevent infinite loops of updates
     // the option.subscribe check is to prevent updating from the empty model
     if (hasSomethingChanged && options.source !== "subscription" && options.subscribe !== false) {
@@ -226,6 +533,7 @@ export default class Model<
 
     // trigger updated for the change
     if (!options.silent && hasSomethingChanged) {
+      this.trigger("change", changed);
       this.triggerUpdate();
 
       if (this.collection && prevId && prevId !== this.id) {
@@ -260,16 +568,22 @@ export default class Model<
   /**
    * Main method that preps a GET request at this model's url. This is the method the request module
    * uses to sync server data after instantiating a model. Upon returning, an update is triggered
-   * for all registered components.
+   * for all registered components, unless the server responded with a 304 Not Modified, in which
+   * case the model is left as-is.
    */
   fetch(options: SyncOptions & SetOptions = {}) {
     options = { parse: true, method: "GET", ...options };
 
     return this.sync(this, options).then(([json, response]) => {
+      if (response?.status === 304) {
+        return [this, response] as const;
+      }
+
       const serverAttrs = options.parse ? this.parse(json, options) : json;
 
       this._subscribe(serverAttrs);
-      this.set(serverAttrs, options);
+      this.set(serverAttrs, { ...options, history: false });
+      this._markSynced();
       // sync update
       this.triggerUpdate();
 
@@ -281,19 +595,54 @@ export default class Model<
    * Whereas fetching data is handled declaratively by resourcerer, creates and updates occur
    * imperatively in your app via model.save(). It first sets the new properties on the model,
    * triggering an update (unless {wait: true} is passed). Then it preps a sync write request.
+   *
+   * With optimistic concurrency enabled (see the static `optimisticConcurrency` property), the save
+   * is made conditional on the record not having changed on the server. If it has, the conflict is
+   * passed to `resolveConflict`, and if that returns merged attributes, they are saved once more.
+   * Otherwise, the save rejects with a ConflictError.
+   *
+   * A PATCH save (via {patch: true}) without any attributes sends only the model's dirty attributes.
+   *
+   * Before anything is set or sent, the attributes are run through `validate` (unless passed
+   * {validate: false}). If they are invalid, the save rejects with a ValidationError.
    */
   save(
     attrs: Partial<T>,
-    options: { wait?: boolean; patch?: boolean } & SyncOptions & SetOptions = {},
+    options: {
+      wait?: boolean;
+      patch?: boolean;
+      resolveConflict?: ConflictResolver<T> | null;
+    } & SyncOptions &
+      SetOptions = {},
   ): Promise<[this, Response]> {
     const previousAttributes = this.toJSON();
+    // what we roll back to if the save fails. unlike the JSON above, these are still coerced
+    const rollbackAttributes = { ...this.attributes };
+    // a conflict is resolved by saving again, but never more than once
+    const retryOptions = { ...options, resolveConflict: null };
+    const { optimisticConcurrency, versionAttribute } = this.constructor as typeof Model;
+    const version = versionAttribute ? previousAttributes[versionAttribute] : this.validators?.etag;
+    const isConcurrent = optimisticConcurrency && !this.isNew() && version != null;
 
     options = { parse: true, ...options };
-    attrs = attrs || this.toJSON();
+    attrs =
+      attrs ||
+      (options.patch ?
+        // sent as data like the rest of the model, rather than as child models and collections
+        Object.keys(this.dirtyAttributes()).reduce(
+          (memo, key) => Object.assign(memo, { [key]: previousAttributes[key] }),
+          {},
+        )
+      : this.toJSON());
+
+    if (options.validate !== false && !this._validate(attrs, options)) {
+      return Promise.reject(new ValidationError(this.validationError!));
+    }
 
     // If we're not waiting and attributes exist, save acts as `set(attr).save(null, opts)`
+    // neither optimistic nor server changes are recorded in the model's history
     if (!options.wait) {
-      this.set(attrs, options);
+      this.set(attrs, { ...options, history: false });
     } else {
       options.attrs = { ...this.attributes, ...attrs };
     }
@@ -307,6 +656,14 @@ export default class Model<
       options.attrs = attrs;
     }
 
+    if (isConcurrent) {
+      // ETags are already quoted, but a version attribute is not
+      options.headers = {
+        "If-Match": versionAttribute ? `"${version}"` : version,
+        ...options.headers,
+      };
+    }
+
     return this.sync(this as Model | Collection, options)
       .then(([json, response]) => {
         let serverAttrs = options.parse ? this.parse(json, options) : json;
@@ -317,7 +674,14 @@ export default class Model<
 
         this._subscribe(serverAttrs);
         // avoid triggering any updates in the set call since we'll do it immediately after
-        this.set(serverAttrs, { silent: true, ...options });
+        this.set(serverAttrs, { silent: true, ...options, history: false });
+        this._markSynced();
+
+        if (optimisticConcurrency) {
+          // the saved record has a new version, so keep our ETag current
+          this._updateValidators(response);
+        }
+
         // sync update
         this.triggerUpdate();
 
@@ -325,10 +689,21 @@ export default class Model<
       })
       .catch((response) => {
         if (!options.wait) {
-          // keep the clear silent so that we only render when we reset attributes
-          this.clear({ silent: true }).set(previousAttributes, options);
+          this._rollback(rollbackAttributes, previousAttributes, options);
         } else {
-          this.attributes = previousAttributes;
+          this.attributes = rollbackAttributes;
+        }
+
+        if (isConcurrent && [409, 412].includes(response?.status)) {
+          return this._resolveConflict(
+            response,
+            { ...previousAttributes, ...attrs },
+            previousAttributes,
+            options.resolveConflict === undefined ?
+              (this.constructor as typeof Model).resolveConflict
+            : options.resolveConflict,
+            retryOptions,
+          );
         }
 
         return Promise.reject(response);
@@ -349,14 +724,14 @@ export default class Model<
 
     if (!options.wait) {
       this.triggerUpdate();
-      this.collection?.remove(this, { silent: true });
+      this.collection?.remove(this, { silent: true, history: false });
     }
 
     return request
       .then(([json, response]) => {
         if (options.wait && !this.isNew()) {
           this.triggerUpdate();
-          this.collection?.remove(this, { silent: true });
+          this.collection?.remove(this, { silent: true, history: false });
         }
 
         // model orphans with subscriptions will never have a chance to unsubscribe automatically.
@@ -366,7 +741,7 @@ export default class Model<
       })
       .catch((response) => {
         if (!options.wait && !this.isNew()) {
-          collection?.add(this);
+          collection?.add(this, { history: false });
         }
 
         return Promise.reject(response);
@@ -379,8 +754,16 @@ export default class Model<
    * for models outside of a collection, they should have their own overriding url method defined.
    */
   url(options = this.urlOptions): string {
+    // a hasOne relation is a singular resource, so its id isn't appended to its parent's url
+    if (this.parent && !this.collection && !result(this, "urlRoot", options)) {
+      return this.parent._getNestedUrl(this._parentPath!);
+    }
+
     const base =
-      result(this, "urlRoot", options) || result(this.collection, "url", options) || urlError();
+      result(this, "urlRoot", options) ||
+      result(this.collection, "url", options) ||
+      this.collection?.parent?._getNestedUrl(this.collection._parentPath!) ||
+      urlError();
     const { pathname, searchParams } = new URL(base, window.location.origin);
 
     if (this.isNew()) {
@@ -403,6 +786,21 @@ export default class Model<
     return response;
   }
 
+  /**
+   * Override this to validate the model's attributes on the client before they are saved (or set,
+   * when passed {validate: true}). It receives the full attributes the model would have and should
+   * return a map of error messages keyed by attribute, ie `{title: 'Title is required'}`. Returning
+   * nothing, or an empty map, means the attributes are valid.
+   */
+  validate(attrs: T, options: SetOptions): ValidationErrors<T> | null | undefined | void {}
+
+  /**
+   * Runs the model's current attributes through `validate`, updating its `validationError`.
+   */
+  isValid(options?: SetOptions): boolean {
+    return this._validate({}, options);
+  }
+
   /**
    * A model by default is considered new if it doesn't have an id property, which makes sense--it
    * hasn't been saved to the server yet. Practically, this can also be overridden to get desired
@@ -483,23 +881,290 @@ export default class Model<
     const subscriptions = this._getSubscriptions();
     const idAttribute = (this.constructor as typeof Model).idAttribute;
 
-    for (const { Model: CanonicalModel, idField = idAttribute, toSource } of subscriptions) {
-      const id = getNestedValue(this.toJSON(), idField) || getNestedValue(attrs, idField);
+    // a model subscribed to several of the canonical models we update should only update once
+    transaction(() => {
+      for (const { Model: CanonicalModel, idField = idAttribute, toSource } of subscriptions) {
+        const id = getNestedValue(this.toJSON(), idField) || getNestedValue(attrs, idField);
+
+        // TODO: this breaks if the id itself changes because it's no longer keyed correctly in the cache
+        // should we prohibit the id attribute from being changed by not passing it to set?
+        if (toSource && id && !this.isEmptyModel) {
+          const canonicalModel = CanonicalModelCache.getOrInsert(CanonicalModel, id);
+
+          canonicalModel.set(
+            toSource({ ...this.attributes, ...attrs }, canonicalModel.toJSON()),
+            this as Model,
+            options,
+          );
+        }
+      }
+    });
+  }
 
-      // TODO: this breaks if the id itself changes because it's no longer keyed correctly in the cache
-      // should we prohibit the id attribute from being changed by not passing it to set?
-      if (toSource && id && !this.isEmptyModel) {
-        const canonicalModel = CanonicalModelCache.getOrInsert(CanonicalModel, id);
+  /**
+   * Turns the data for any of the model's relations into child models and collections. Existing
+   * children are updated in place so that they keep their identity; children that are replaced or
+   * unset stop bubbling their updates to this model.
+   */
+  _setRelations(attrs: Partial<T>, options: SetOptions): Partial<T> {
+    const relations = this._getRelations();
+
+    return Object.keys(attrs).reduce((memo, key) => {
+      const relation = relations[key];
+      const current = this.attributes[key];
+      let value: any = attrs[key];
+
+      if (!relation) {
+        return Object.assign(memo, { [key]: value });
+      }
+
+      const RelationClass =
+        relation.type === "hasOne" ? relation.Model : relation.Collection || Collection;
+
+      if (
+        !options.unset &&
+        value !== null &&
+        value !== undefined &&
+        !(value instanceof RelationClass)
+      ) {
+        if (current instanceof RelationClass) {
+          // a hasMany relation mirrors the data it is set with, like a smart merge
+          current.set(value, { silent: options.silent, history: options.history, remove: true });
+          value = current;
+        } else {
+          value = new RelationClass(
+            value,
+            relation.type === "hasMany" && relation.Model ? { Model: relation.Model } : {},
+          );
+        }
+      }
+
+      if (current !== value) {
+        if (current?.parent === this) {
+          current.offUpdate(this);
+          delete current.parent;
+        }
+
+        if (value instanceof RelationClass) {
+          value.parent = this;
+          value._parentPath = relation.path || key;
+          value.onUpdate(this.triggerUpdate, this);
+        }
+      }
+
+      return Object.assign(memo, { [key]: value });
+    }, {} as Partial<T>);
+  }
+
+  /**
+   * The default url of a relation without a url of its own, which is nested under this model's
+   * url, ie `/orders/1/items` for an order's `items`.
+   */
+  _getNestedUrl(path: string) {
+    const { pathname } = new URL(result(this, "url", this.urlOptions), window.location.origin);
+
+    return `${pathname.replace(/\/$/, "")}/${path}`;
+  }
+
+  /**
+   * Runs the model's `validate` method on what its attributes would be after setting `attrs`. If it
+   * returns any errors, they are kept as `validationError`, and an `invalid` event and an update are
+   * triggered so that forms can render them.
+   */
+  _validate(attrs: Partial<T>, options: SetOptions = {}) {
+    const { schema } = this.constructor as typeof Model;
+    const nextAttrs = { ...this.attributes, ...(schema ? coerceAttributes(schema, attrs) : attrs) };
+
+    if (options.unset) {
+      Object.keys(attrs).forEach((attr) => delete nextAttrs[attr]);
+    }
+
+    const errors = this.validate(nextAttrs, options);
+
+    if (!errors || !Object.keys(errors).length) {
+      this.validationError = null;
+
+      return true;
+    }
+
+    this.validationError = errors;
+
+    if (!options.silent) {
+      this.trigger("invalid", errors);
+      this.triggerUpdate();
+    }
+
+    return false;
+  }
 
-        canonicalModel.set(
-          toSource({ ...this.attributes, ...attrs }, canonicalModel.toJSON()),
-          this as Model,
-          options,
+  /**
+   * Records a set call in the model's history. Undoing it sets the previous values of the changed
+   * attributes and removes any attributes that didn't exist before.
+   */
+  _recordHistory(changed: Partial<T>, options: SetOptions) {
+    const previousAttributes = this._previousAttributes;
+    const previous = Object.keys(changed).reduce(
+      (memo, key) =>
+        Object.assign(memo, key in previousAttributes ? { [key]: previousAttributes[key] } : {}),
+      {} as Partial<T>,
+    );
+    const added = Object.keys(changed).filter((key) => !(key in previousAttributes));
+
+    this._history?.record({
+      undo: () => {
+        this.set(previous);
+        this.set(
+          added.reduce((memo, key) => Object.assign(memo, { [key]: undefined }), {}),
+          { unset: true },
         );
+      },
+      redo: () => this.set(changed, { unset: options.unset }),
+    });
+  }
+
+  /**
+   * Records the current attributes as the server's version of the model, which is what dirty
+   * attributes are compared against.
+   */
+  _markSynced() {
+    this._syncedAttributes = this._snapshotAttributes();
+  }
+
+  /**
+   * Returns a copy of the attributes with child models and collections replaced by their data.
+   * Children are updated in place, so a copy of the instances would always match the current ones.
+   */
+  _snapshotAttributes(): T {
+    const attributes = { ...this.attributes };
+
+    for (let key of Object.keys(this._getRelations())) {
+      if (attributes[key] instanceof Model || attributes[key] instanceof Collection) {
+        attributes[key as keyof T] = attributes[key].toJSON();
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Restores the attributes from before a failed save, unsetting any that the save added. Child
+   * models and collections are put back and set with their previous data in place, so that
+   * components listening to them aren't left with orphaned instances. Components update just once,
+   * whether or not anything changed.
+   */
+  _rollback(attributes: T, json: T, options: SetOptions) {
+    const relations = this._getRelations();
+    const addedAttrs = Object.keys(this.attributes).filter((attr) => !(attr in attributes));
+
+    transaction(() => {
+      for (let key of Object.keys(relations)) {
+        const child: unknown = attributes[key];
+
+        if (child instanceof Model || child instanceof Collection) {
+          child.set(json[key], { silent: options.silent, history: false, remove: true });
+        }
+      }
+
+      this.set(Object.fromEntries(addedAttrs.map((attr) => [attr, undefined])) as Partial<T>, {
+        ...options,
+        unset: true,
+        history: false,
+      }).set(attributes, { ...options, history: false });
+
+      // components update even if nothing was changed, since the save itself failed
+      if (!options.silent) {
+        this.triggerUpdate();
       }
+    });
+  }
+
+  /**
+   * Keeps the ETag of the record current after it is saved, so that the next save can be made
+   * conditional on it.
+   */
+  _updateValidators(response?: Response) {
+    const etag = response?.headers?.get("ETag");
+
+    if (etag) {
+      this.validators = {
+        url: result(this, "url", this.urlOptions),
+        params: {},
+        etag,
+        lastModified: response!.headers.get("Last-Modified"),
+      };
     }
   }
 
+  /**
+   * Handles a save that conflicted with a newer version on the server. We get the server's current
+   * representation of the record, either from the conflict response or, if it doesn't have one, by
+   * fetching it. Then, if the conflict resolver merges our attributes with it, we save the result on
+   * top of the server's version. Otherwise, we reject with a ConflictError.
+   *
+   * The conflict response only counts as the server's record if it has an id, since it might just
+   * be an error message, and if it comes with the record's version, since otherwise saving on top
+   * of it is bound to conflict again.
+   */
+  _resolveConflict(
+    response: Response & { json?: any },
+    local: T,
+    base: T,
+    resolveConflict: ConflictResolver<T> | null | undefined,
+    options: Parameters<Model<T, O>["save"]>[1] = {},
+  ): Promise<[this, Response]> {
+    const { idAttribute, versionAttribute } = this.constructor as typeof Model;
+    const parse = (json: any) => (options.parse === false ? json : this.parse(json, options));
+    const conflictRemote = response.json && parse(response.json);
+    let getRemote: Promise<any>;
+
+    if (
+      conflictRemote?.[idAttribute] != null &&
+      (versionAttribute || response.headers?.get("ETag"))
+    ) {
+      this._updateValidators(response);
+      getRemote = Promise.resolve(conflictRemote);
+    } else {
+      // our validators are out of date, so the request must not be conditional. otherwise, we could
+      // get back a 304 with nothing in it. the response's validators then become our new ones.
+      delete this.validators;
+      getRemote = this.sync(this as Model | Collection, { method: "GET" }).then(([json]) =>
+        parse(json),
+      );
+    }
+
+    return getRemote.then((remote) => {
+      const mergedAttrs = resolveConflict?.(local, remote, base);
+
+      if (!mergedAttrs) {
+        return Promise.reject(new ConflictError(response, remote));
+      }
+
+      this.clear({ silent: true, history: false }).set(remote, { silent: true, history: false });
+
+      return this.save(mergedAttrs, options);
+    });
+  }
+
+  /**
+   * The model's relations, including Model and Collection fields in its schema, which are shorthand
+   * for `hasOne` and `hasMany` relations.
+   */
+  _getRelations(): Record<string, Relation> {
+    const { schema, relations } = this.constructor as typeof Model;
+
+    return {
+      ...Object.fromEntries(
+        Object.entries(schema || {}).flatMap(([key, field]): [string, Relation][] =>
+          typeof field !== "function" ? []
+          : field.prototype instanceof Collection ?
+            [[key, { type: "hasMany", Collection: field as typeof Collection }]]
+          : [[key, { type: "hasOne", Model: field as typeof Model }]],
+        ),
+      ),
+      ...relations,
+    };
+  }
+
   _getSubscriptions() {
     const { subscriptions, idAttribute, CanonicalModel } = this.constructor as typeof Model;
 
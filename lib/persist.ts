@@ -0,0 +1,155 @@
+import { ModelMap, ResourcesConfig } from "./config.js";
+import Collection from "./collection.js";
+import { type DehydratedResource, dehydrateResource, hydrateResource } from "./ssr.js";
+import Model from "./model.js";
+import ModelCache from "./model-cache.js";
+import type { ResourceKeys } from "./types.js";
+
+/**
+ * Any storage that can get and set strings by key. `window.localStorage` and `window.sessionStorage`
+ * can be used as-is; an async storage like IndexedDB just needs to be wrapped in an object with
+ * these three methods.
+ */
+export interface StorageAdapter {
+  getItem: (key: string) => string | null | undefined | Promise<string | null | undefined>;
+  setItem: (key: string, value: string) => void | Promise<void>;
+  removeItem: (key: string) => void | Promise<void>;
+}
+
+export type PersistOptions = {
+  adapter: StorageAdapter;
+  key?: string;
+  buster?: string;
+  maxAge?: number;
+  resourceKeys?: ResourceKeys[];
+};
+
+// batches cache changes that happen in quick succession into a single write to storage
+const PERSIST_TIMEOUT = 100;
+
+/**
+ * Persists the ModelCache to a storage adapter so that resources survive page loads. Call this once
+ * when your application starts up, before rendering. It first restores any previously-persisted
+ * resources into the cache, constructing them via their ModelMap entries, and then writes the
+ * cache back to storage every time it changes. Options:
+ *
+ *   * adapter {StorageAdapter} - where to persist the cache, ie `window.localStorage`
+ *   * key {string} - the storage key the cache is persisted under. default 'resourcerer-cache'
+ *   * buster {string} - a version string for the persisted cache. if it doesn't match the buster
+ *        of a previously-persisted cache, that cache is thrown away. change this whenever the
+ *        shape of your data changes
+ *   * maxAge {number} - milliseconds after which a persisted resource is no longer restored.
+ *        default 24 hours
+ *   * resourceKeys {ResourceKeys[]} - an allowlist of resources to persist. default is all
+ *
+ * Only resources that have been fetched from the server are persisted. They stay persisted until
+ * they are older than the maxAge or are removed from the cache, ie via `invalidate`, even after
+ * they are evicted from the cache for not being used. A persisted cache that can't be read or
+ * written is logged via the `log` config method and then overwritten, since a corrupted cache is no
+ * worse than an empty one.
+ *
+ * @return {promise} a promise that resolves once the cache has been restored with a function that
+ *   stops persisting the cache
+ */
+export default function persistCache({
+  adapter,
+  key = "resourcerer-cache",
+  buster = "",
+  maxAge = 24 * 60 * 60 * 1000,
+  resourceKeys,
+}: PersistOptions): Promise<() => void> {
+  const listenedModels = new Set<Model | Collection>();
+  // everything that is persisted, keyed by cache key, including resources no longer in the cache
+  const persistedEntries = new Map<string, DehydratedResource>();
+  const isPersistable = ({ resourceKey, fetchTime }: DehydratedResource) =>
+    !!ModelMap[resourceKey] &&
+    (!resourceKeys || resourceKeys.includes(resourceKey)) &&
+    Date.now() - fetchTime < maxAge;
+  let timeout: number | undefined;
+
+  // cached models can also be updated in place, ie after being saved, so we listen to them, too
+  const listenToModels = (models: (Model | Collection)[]) => {
+    listenedModels.forEach((model) => model.offUpdate(listenedModels));
+    listenedModels.clear();
+
+    models.forEach((model) => {
+      model.onUpdate(schedulePersist, listenedModels);
+      listenedModels.add(model);
+    });
+  };
+
+  const persist = () => {
+    const cachedModels: (Model | Collection)[] = [];
+
+    ModelCache.keys().forEach((cacheKey) => {
+      const entry = dehydrateResource(cacheKey);
+
+      if (entry && isPersistable(entry)) {
+        persistedEntries.set(cacheKey, entry);
+        cachedModels.push(ModelCache.get(cacheKey)!);
+      } else {
+        persistedEntries.delete(cacheKey);
+      }
+    });
+
+    // resources that are no longer cached are only persisted until they expire
+    for (const [cacheKey, entry] of persistedEntries) {
+      if (!isPersistable(entry)) {
+        persistedEntries.delete(cacheKey);
+      }
+    }
+
+    timeout = undefined;
+    listenToModels(cachedModels);
+
+    // storage like localStorage can throw synchronously, ie when it's full
+    return Promise.resolve()
+      .then(() =>
+        adapter.setItem(key, JSON.stringify({ buster, entries: [...persistedEntries.values()] })),
+      )
+      .catch(ResourcesConfig.log);
+  };
+
+  const schedulePersist = () => {
+    timeout ??= window.setTimeout(persist, PERSIST_TIMEOUT);
+  };
+
+  const onCacheChange = (cacheKey: string, evicted: boolean) => {
+    if (!evicted) {
+      persistedEntries.delete(cacheKey);
+    }
+
+    schedulePersist();
+  };
+
+  return Promise.resolve()
+    .then(() => adapter.getItem(key))
+    .then((persisted) => {
+      const { buster: persistedBuster, entries = [] } = JSON.parse(persisted || "{}");
+
+      if (persistedBuster !== buster) {
+        return adapter.removeItem(key);
+      }
+
+      (entries as DehydratedResource[]).filter(isPersistable).forEach((entry) => {
+        persistedEntries.set(entry.cacheKey, entry);
+
+        // anything already in the cache is more recent than what was persisted
+        if (!ModelCache.get(entry.cacheKey)) {
+          hydrateResource(entry);
+        }
+      });
+    })
+    .catch(ResourcesConfig.log)
+    .then(() => {
+      const removeChangeListener = ModelCache.onChange(onCacheChange);
+
+      persist();
+
+      return () => {
+        removeChangeListener();
+        window.clearTimeout(timeout);
+        listenToModels([]);
+      };
+    });
+}
@@ -2,7 +2,7 @@ import { ModelMap } from "./config.js";
 import { noOp, once } from "./utils.js";
 import type { ExecutorFunction, Resource } from "./types.js";
 
-import { getCacheKey } from "./resourcerer.js";
+import { getCacheKey } from "./model-cache.js";
 import request from "./request.js";
 
 // prevents api request bursts based on quick swipes
@@ -1,22 +1,46 @@
 import Model from "./model.js";
 import Collection from "./collection.js";
 import ModelCache from "./model-cache.js";
+import { type RetryConfig, ResourcesConfig } from "./config.js";
 import { SyncOptions } from "./sync.js";
+import type { Tags } from "./types.js";
+import { noOp } from "./utils.js";
+
+type Component = NonNullable<unknown>;
 
 interface RequestOptions extends Pick<SyncOptions, "params"> {
   data?: any;
-  component?: NonNullable<unknown>;
+  component?: Component;
   options?: Record<string, any>;
   path?: Record<string, any>;
   fetch?: boolean;
   force?: boolean;
+  fresh?: boolean;
   lazy?: boolean;
+  retry?: Partial<RetryConfig>;
+  revalidate?: boolean;
+  suspense?: boolean;
+  tags?: Tags;
 }
 
 const loadingCache: Record<
   string,
   Promise<[Model | Collection] | [Model | Collection, number]>
 > = {};
+// for each request in the loadingCache, the controller that can abort it and the set of components
+// still waiting on it. requests made without a component (ie, prefetches) can't be abandoned,
+// since we have no way of knowing who might still be waiting on them. requests that suspended
+// components are waiting on stay in the loadingCache if they fail, along with their failure.
+const inFlightRequests: Record<
+  string,
+  {
+    controller: AbortController;
+    components: Set<Component>;
+    abandonable: boolean;
+    suspense: boolean;
+    failure?: { status?: number };
+  }
+> = {};
 
 /**
  * Retrieves a model from the ModelCache. If needed, best to use this in an
@@ -39,18 +63,59 @@ export const existsInCache = (key: string) => !!ModelCache.get(key);
  * way, we can attach multiple .then()s to a promise that will all be
  * executed when the promise is fulfilled.
  *
+ * Failed fetches are retried according to the retry config, which is a combination of the global
+ * config, the model's static `retry` property, and the `retry` option, in increasing order of
+ * precedence. The returned promise only rejects once there are no retries left.
+ *
+ * While a request is in flight, we keep track of all the components waiting on it. If they all
+ * abandon it (see `abandon` below), the request is aborted.
+ *
+ * Passing `revalidate: true` for a model that is already cached refetches it in the background:
+ * the cached model is resolved in place and flagged as `revalidating` while the request is in
+ * flight, but it is never put back into a loading state. Models that make conditional requests
+ * aren't flagged, so that a 304 doesn't update anything.
+ *
+ * Normally, requesting a key that is already in flight returns the in-flight request. But that
+ * request may have been sent before, say, a mutation that the caller needs to see, so passing
+ * `fresh: true` waits for it to complete and then makes a new request.
+ *
+ * A suspended component re-renders once its request completes, so it needs to find out whether
+ * that request failed. Passing `suspense: true` keeps a failed request in the loadingCache (see
+ * `getRequestFailure`) until a request without that option takes its place.
+ *
  * @return {promise} a promise that will resolve with a tuple of the new Model/Collection instance
  *   and an optional status code
  */
-export default (
+export default function request(
   key: string,
   Model:
     | { new (data: Record<string, any>, options: RequestOptions["options"]): Model }
     | { new (data: Record<string, any>[], options: RequestOptions["options"]): Collection },
   options: RequestOptions = {} as RequestOptions
-): Promise<[Model | Collection] | [Model | Collection, number]> => {
+): Promise<[Model | Collection] | [Model | Collection, number]> {
+  if (inFlightRequests[key]?.failure && !options.suspense) {
+    delete loadingCache[key];
+    delete inFlightRequests[key];
+  }
+
+  const inFlightPromise = loadingCache[key];
+
+  if (inFlightPromise && options.fresh) {
+    // any request made once the in-flight one completes is fresh enough, so a new in-flight request
+    // by then can be shared
+    return inFlightPromise
+      .catch(noOp)
+      .then(() => request(key, Model, { ...options, fresh: false }));
+  }
+
   let cachedModel = ModelCache.get(key);
   let addToLoadingCache;
+  const controller = new AbortController();
+  const retry = {
+    ...ResourcesConfig.retry,
+    ...(Model as { retry?: Partial<RetryConfig> } | undefined)?.retry,
+    ...options.retry,
+  };
   let _promise: Promise<[Model | Collection] | [Model | Collection, number]>;
 
   options = {
@@ -60,31 +125,80 @@ export default (
     fetch: true,
     force: false,
     lazy: false,
+    revalidate: false,
     ...options,
   };
 
+  const fetchOptions = { params: options.params, signal: controller.signal };
+  // a model class's tags and a resource's tags both apply
+  const tags = [(Model as { tags?: Tags } | undefined)?.tags, options.tags].flatMap((_tags) =>
+    typeof _tags === "function" ? _tags(options) : _tags || [],
+  );
+
   if (!loadingCache[key]) {
     _promise = new Promise((resolve, reject) => {
-      if (!cachedModel || cachedModel.lazy || options.force) {
+      if (cachedModel && !cachedModel.lazy && options.revalidate) {
+        addToLoadingCache = true;
+        ModelCache.register(key, options.component);
+
+        // let all listening components know that a background request is in flight. a conditional
+        // request, though, will likely come back as a 304, which shouldn't update anything, so it
+        // isn't flagged. if it does come back with new data, that updates components on its own.
+        const isFlagged = !cachedModel.validators?.etag && !cachedModel.validators?.lastModified;
+
+        if (isFlagged) {
+          cachedModel.revalidating = true;
+          cachedModel.triggerUpdate();
+        }
+
+        // paginated collections refetch all of their loaded pages instead of starting over
+        fetchWithRetry(cachedModel, { ...fetchOptions, revalidate: true }, retry).then(
+          ([newModel, response]) => {
+            removeFromLoadingCache(key, _promise);
+            delete newModel.revalidating;
+
+            ModelCache.markFetched(key);
+            isFlagged && newModel.triggerUpdate();
+            resolve([newModel, response?.status]);
+          },
+          (response) => {
+            removeFromLoadingCache(key, _promise);
+            // a failed revalidation keeps the previously-fetched data around
+            delete cachedModel.revalidating;
+            isFlagged && cachedModel.triggerUpdate();
+            reject(response?.status);
+          },
+        );
+      } else if (!cachedModel || cachedModel.lazy || options.force) {
         const model =
           cachedModel || new Model(options.data, { ...options.options, ...options.path });
 
         if (options.fetch && !options.lazy) {
           addToLoadingCache = true;
 
-          model.fetch({ params: options.params }).then(
+          fetchWithRetry(model, fetchOptions, retry).then(
             ([newModel, response]) => {
-              delete loadingCache[key];
+              removeFromLoadingCache(key, _promise);
               // waiting to delete lazy property until after fetch completes ensures multiple
               // components that call non-lazy version of the resource all get put into a
               // loading state
               delete model.lazy;
 
               ModelCache.put(key, newModel, options.component);
+              ModelCache.tag(key, tags);
+              ModelCache.markFetched(key);
               resolve([newModel, response?.status]);
             },
             (response) => {
-              delete loadingCache[key];
+              const inFlightRequest = inFlightRequests[key];
+
+              // suspended components re-render once the request fails, and they need to know why
+              if (loadingCache[key] === _promise && inFlightRequest?.suspense) {
+                inFlightRequest.failure = { status: response?.status };
+              } else {
+                removeFromLoadingCache(key, _promise);
+              }
+
               reject(response?.status);
             }
           );
@@ -94,6 +208,7 @@ export default (
           options.lazy && !ModelCache.get(key) ? (model.lazy = true) : null;
 
           ModelCache.put(key, model, options.component);
+          ModelCache.tag(key, tags);
           resolve([model]);
         }
         // this block normally will not get invoked because previous-cached resources will bypass
@@ -114,6 +229,12 @@ export default (
     if (addToLoadingCache) {
       // add promise to loading cache, not model
       loadingCache[key] = _promise;
+      inFlightRequests[key] = {
+        controller,
+        components: new Set(options.component ? [options.component] : []),
+        abandonable: !!options.component,
+        suspense: !!options.suspense,
+      };
     }
 
     return _promise;
@@ -123,7 +244,104 @@ export default (
   // clear the timeout and register this component
   ModelCache.register(key, options.component);
 
+  const inFlightRequest = inFlightRequests[key];
+
+  if (inFlightRequest) {
+    // this component is now also waiting on the request. without a component, we can no longer
+    // safely abort it.
+    options.component ?
+      inFlightRequest.components.add(options.component)
+    : (inFlightRequest.abandonable = false);
+    inFlightRequest.suspense ||= !!options.suspense;
+  }
+
   // return the existing promise if the promise hasn't yet been fulfilled.
   // this way we can attach more .then() handlers
   return loadingCache[key] as Promise<[Model | Collection] | [Model | Collection, number]>;
-};
+}
+
+/**
+ * Returns the failure of a request made with `suspense: true`, if it failed. This lasts until
+ * another request for the key is made without that option.
+ */
+export function getRequestFailure(key: string) {
+  return inFlightRequests[key]?.failure;
+}
+
+/**
+ * Removes a component from the list of those waiting on in-flight requests. If passed cache keys,
+ * the component will only be removed from those requests. Otherwise, it will be removed from all of
+ * them (ie, when the component unmounts).
+ *
+ * If, after the component is removed, a request no longer has any waiting components, the request
+ * is aborted and removed from the loadingCache so that a subsequent request starts fresh.
+ */
+export function abandon(component: Component, ...keys: string[]) {
+  keys = keys.length ? keys : Object.keys(inFlightRequests);
+
+  for (let key of keys) {
+    const inFlightRequest = inFlightRequests[key];
+
+    if (
+      inFlightRequest?.components.delete(component) &&
+      !inFlightRequest.components.size &&
+      inFlightRequest.abandonable
+    ) {
+      delete loadingCache[key];
+      delete inFlightRequests[key];
+      inFlightRequest.controller.abort();
+    }
+  }
+}
+
+/**
+ * Fetches a model, retrying failed requests for as long as the retry config allows. Retries wait
+ * for the config's backoff, and they stop immediately if the request is aborted.
+ */
+function fetchWithRetry(
+  model: Model | Collection,
+  options: SyncOptions & { signal: AbortSignal },
+  retry: RetryConfig,
+  retries = 0,
+): Promise<readonly [Model | Collection, Response]> {
+  // note that a request aborted after its response came back is still considered aborted
+  return model
+    .fetch(options)
+    .then((result) => (options.signal.aborted ? Promise.reject() : result))
+    .catch((response) => {
+      const shouldRetry =
+        typeof retry.statuses === "function" ?
+          retry.statuses(response?.status)
+        : retry.statuses.includes(response?.status);
+
+      if (options.signal.aborted || retries >= retry.count || !shouldRetry) {
+        return Promise.reject(response);
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          window.clearTimeout(timeout);
+          reject(response);
+        };
+
+        // the next attempt adds its own listener, so this one is removed once the wait is over
+        const timeout = window.setTimeout(() => {
+          options.signal.removeEventListener("abort", onAbort);
+          fetchWithRetry(model, options, retry, retries + 1).then(resolve, reject);
+        }, retry.backoff(retries + 1, response));
+
+        options.signal.addEventListener("abort", onAbort, { once: true });
+      });
+    });
+}
+
+/**
+ * Clears a request from the loadingCache once it completes, but only if it is still the current
+ * request for its key. An abandoned request may complete after a new request has taken its place.
+ */
+function removeFromLoadingCache(key: string, promise: Promise<any>) {
+  if (loadingCache[key] === promise) {
+    delete loadingCache[key];
+    delete inFlightRequests[key];
+  }
+}
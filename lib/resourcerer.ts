@@ -1,4 +1,4 @@
-import { hasErrored, hasLoaded, isLoading, pick } from "./utils.js";
+import { hasErrored, hasLoaded, isLoading, noOp, pick } from "./utils.js";
 import { ModelMap, ResourcesConfig } from "./config.js";
 import React, {
   type ComponentClass,
@@ -13,9 +13,9 @@ import React, {
 import Collection from "./collection.js";
 import ErrorBoundary from "./error-boundary.js";
 import Model from "./model.js";
-import ModelCache, { invalidate } from "./model-cache.js";
+import ModelCache, { getCacheKey, invalidate } from "./model-cache.js";
 import ReactDOM from "react-dom";
-import request from "./request.js";
+import request, { abandon, getRequestFailure } from "./request.js";
 import type {
   ExecutorFunction,
   LoadingStates,
@@ -26,6 +26,8 @@ import type {
   InternalResourceConfigObj,
   ResourceKeys,
   LoadingStateKey,
+  MutationOptions,
+  UseMutationResponse,
   UseResourcesResponse,
   WithModelSuffix,
 } from "./types.js";
@@ -72,6 +74,16 @@ type ModelState = Record<string, ModelInstanceType>;
  *   * resourceKey {ResourceKeys} - use this when adding a custom name for the resource,
  *        so the props use the custom name, but the correct resource type is
  *        fetched and cached
+ *   * pollInterval {number} - milliseconds between background refetches of the resource
+ *        while any component is using it. polling pauses while the document is hidden
+ *   * refetchOnFocus {boolean} - revalidate the resource in the background when the document
+ *        becomes visible again. overrides the global `refetchOnFocus` config
+ *   * refetchOnReconnect {boolean} - revalidate the resource in the background when the
+ *        browser comes back online. overrides the global `refetchOnReconnect` config
+ *   * retry {Partial<RetryConfig>} - overrides for how failed requests are retried. the
+ *        resource stays in a loading state until there are no retries left
+ *   * staleTime {number} - milliseconds after which a cached resource is revalidated
+ *        in the background. overrides the model's static `staleTime` property
  *   * ...any other option that can be passed directly to the `request` function
  */
 export function useResources<T extends ResourceKeys, O extends Record<string, any>>(
@@ -87,6 +99,10 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
   [Key in T as `${T}LoadingState`]: LoadingStates;
 } & {
   [Key in T as `${T}Status`]: number;
+} & {
+  [Key in T as `${T}HasNextPage`]?: boolean;
+} & {
+  [Key in T as `${T}IsFetchingNextPage`]?: boolean;
 } {
   const [resourceState, setResourceState] = useState<Record<string, any>>({});
   const props = { ..._props, ...resourceState };
@@ -292,6 +308,8 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
     // models do not have loading or model states, this should have no practical effect
     if (resourcesToUpdate.length) {
       if (prevPropsRef.current) {
+        const cacheKeys = resources.map(([, config]) => getCacheKey(config));
+
         resourcesToUpdate.forEach(([name, config]) => {
           const prevConfig = findConfig([name, config], getResources, prevPropsRef.current!),
             prevCacheKey = getCacheKey(prevConfig);
@@ -300,6 +318,13 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
           // unregister component from previous models that are getting updated
           ModelCache.unregister(componentRef.current, prevCacheKey);
 
+          // stop waiting on any previous request that is still in flight, which aborts it if no
+          // other component is waiting on it. we can't do this if the cache key is still in use,
+          // ie if a previously-prefetched resource is now the main resource
+          if (!cacheKeys.includes(prevCacheKey)) {
+            abandon(componentRef.current, prevCacheKey);
+          }
+
           // this is our re-caching: if we already have a new model in the cache that has now been
           // saved (and thus has a real cache key), move the model to the new cache key and remove
           // it from the old one. this will save an unnecessary request.
@@ -346,8 +371,16 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
       }).then(() => {
         if (isMountedRef.current) {
           attachModelListeners();
+          pollResources(resources.filter(withoutPrefetch));
+          revalidateOnWindowEvents(resources.filter(withoutPrefetch), componentRef.current);
         }
       });
+
+      // cached resources are served immediately, but any that have gone stale get refetched in the
+      // background without leaving their loaded state
+      revalidateResources(loadedResources.filter(withoutPrefetch).filter(isStale), {
+        component: componentRef.current,
+      });
     }
 
     prevPropsRef.current = props;
@@ -369,6 +402,7 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
 
     return () => {
       ModelCache.unregister(componentRef.current);
+      abandon(componentRef.current);
       // use _current_ props when getting the models here, because if any have changed over the
       // lifecycle of the component then they should have already had listeners removed. this only
       // removes listeners from the 'last' batch before unmounting
@@ -417,6 +451,7 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
     // here we include our model loading states, useful for noncritical resources
     ...loadingStates,
     ...requestStatuses,
+    ...getPageStates(resources.filter(withoutPrefetch)),
 
     // these props represent our critical resource loading states
     hasErrored: hasErrored(criticalLoadingStates),
@@ -427,6 +462,135 @@ export function useResources<T extends ResourceKeys, O extends Record<string, an
      * reflecting a different UI for subsequent requests
      */
     hasInitiallyLoaded,
+    /**
+     * Whether any of our critical resources are being refetched in the background. Unlike
+     * `isLoading`, this can be true while `hasLoaded` is also true.
+     */
+    isRevalidating: resources
+      .filter(withoutNoncritical)
+      .filter(withoutPrefetch)
+      .some(([, config]) => !!getModelFromCache(config)?.revalidating),
+  };
+}
+
+/**
+ * Suspense version of useResources. Instead of returning a loading state while critical resources
+ * are being fetched, the component suspends, so the nearest <Suspense> boundary shows its fallback
+ * until they've all loaded. If any of them fail, an error is thrown to the nearest error boundary,
+ * with the failed request's status as its `status` property. Otherwise, this returns everything
+ * useResources does.
+ *
+ * A suspended component hasn't mounted, so requests are made from the render phase itself. They
+ * go through the request module's loadingCache, so suspended re-renders never make duplicate
+ * requests. A failed request stays there, so it keeps being thrown until the resource is requested
+ * again by anything other than a suspended component. Noncritical resources and resources that are
+ * waiting on their dependencies are fetched as usual after mounting.
+ */
+export function useSuspenseResources<T extends ResourceKeys, O extends Record<string, any>>(
+  getResources: (props: O) => {
+    [Key in T]?: ResourceConfigObj;
+  },
+  props: O,
+): ReturnType<typeof useResources<T, O>> {
+  const requests = generateResources(getResources as ExecutorFunction, props)
+    .filter(withoutPrefetch)
+    .filter(withoutNoncritical)
+    .filter(hasAllDependencies)
+    .filter(not(shouldBypassFetch.bind(null, props)))
+    .filter(
+      ([, config]) =>
+        !config.lazy && (!getModelFromCache(config) || getModelFromCache(config)?.lazy),
+    )
+    .map(([name, config]) => {
+      const { resourceKey, provides, refetch, ...rest } = config;
+      const cacheKey = getCacheKey(config);
+
+      const failure = getRequestFailure(cacheKey);
+
+      if (failure) {
+        throw Object.assign(new Error(`Failed to load resource "${name}"`), failure);
+      }
+
+      return request(cacheKey, ModelMap[resourceKey]!, { ...rest, suspense: true }).catch(noOp);
+    });
+
+  if (requests.length) {
+    throw Promise.all(requests);
+  }
+
+  return useResources(getResources, props);
+}
+
+/**
+ * Hook that tracks the state of a write request, like a `save`, `destroy`, or `create` call. The
+ * mutation function can take any arguments and should return the promise from the write request,
+ * which resolves with a tuple of the model and the response. Calling `mutate` with those arguments
+ * invokes it and keeps track of whether it's pending, has errored, or has succeeded, along with the
+ * last response status. `mutate` returns the request's promise, so it rejects if the request fails.
+ *
+ * `onSuccess` and `onError` callbacks are invoked with the result (or the failed response) and the
+ * arguments passed to `mutate`, which is a good place to invalidate or refetch resources. Only the
+ * most recent call to `mutate` updates state or invokes callbacks. Callbacks are still invoked after
+ * the component unmounts, ie when a modal closes on save, but state is not set.
+ */
+export function useMutation<
+  Args extends any[],
+  R extends readonly [Model | Collection, Response?] | readonly [Model | Collection],
+>(
+  mutationFn: (...args: Args) => Promise<R>,
+  { onSuccess, onError }: MutationOptions<Args, R> = {},
+): UseMutationResponse<Args, R> {
+  const [{ state, status, error }, setMutationState] = useState<{
+    state: "idle" | "pending" | "error" | "success";
+    status?: number;
+    error?: Response;
+  }>({ state: "idle" });
+  const isMountedRef = useIsMounted();
+  // used to make sure that only the most recent call to `mutate` updates state
+  const mutationCountRef = useRef(0);
+
+  return {
+    mutate: (...args: Args) => {
+      const mutationCount = ++mutationCountRef.current;
+      const isCurrentMutation = () => mutationCount === mutationCountRef.current;
+
+      const setMountedMutationState = (newState: Parameters<typeof setMutationState>[0]) => {
+        if (isMountedRef.current) {
+          setMutationState(newState);
+        }
+      };
+
+      setMutationState({ state: "pending" });
+
+      return mutationFn(...args).then(
+        (result) => {
+          if (isCurrentMutation()) {
+            setMountedMutationState({ state: "success", status: result[1]?.status });
+            onSuccess?.(result, ...args);
+          }
+
+          return result;
+        },
+        (response?: Response) => {
+          if (isCurrentMutation()) {
+            setMountedMutationState({ state: "error", status: response?.status, error: response });
+            onError?.(response, ...args);
+          }
+
+          return Promise.reject(response);
+        },
+      );
+    },
+    isPending: state === "pending",
+    hasErrored: state === "error",
+    hasSucceeded: state === "success",
+    status,
+    error,
+    reset: () => {
+      // any in-flight mutation should no longer update state
+      mutationCountRef.current++;
+      setMutationState({ state: "idle" });
+    },
   };
 }
 
@@ -553,37 +717,6 @@ function getEmptyModel({ resourceKey, data, options, path }: InternalResourceCon
   return emptyInstance;
 }
 
-/**
- * Calculates a cache key for the resource depending on the base resource type
- * key and the truthy parameter values. Parameter values are calculated in via
- * the constructor's static `dependencies` array:
- *
- *   `dependencies` values are taken directly from the config object as opposed
- *   to props, in the following order: `path` object, `data` object,
- *   `params` object. Field keys are included in this method, which is why it is
- *   preferred. `dependencies` entries can be functions, too, which take the
- *   `params` object as a parameter and return a key/value object that gets
- *   flattened to a piece of the cache key.
- */
-export function getCacheKey({
-  resourceKey,
-  params = {},
-  path = {},
-  data = {},
-}: InternalResourceConfigObj) {
-  const Constructor = ModelMap[resourceKey] as ConstructorTypes;
-  const toKeyValString = ([key, val]: [string, any]) => (val ? `${key}=${val}` : ""),
-    fields = (Constructor?.dependencies || [])
-      .map((key) =>
-        typeof key === "function" ?
-          Object.entries(key(params)).map(toKeyValString).join("_")
-        : toKeyValString([key, path[key] || data[key] || params[key]]),
-      )
-      .filter(Boolean);
-
-  return `${resourceKey || ""}${fields.length ? `~${fields.sort().join("_")}` : ""}`;
-}
-
 /**
  * Finds the current config object given a set of props based on the resourceKey and whether it is a
  * prefetched resource
@@ -680,6 +813,43 @@ function getModelFromCache(...args: Parameters<typeof getCacheKey>) {
   return ModelCache.get(getCacheKey(...args));
 }
 
+/**
+ * For every paginated collection resource, whether it has a next page and whether that page is being
+ * fetched, ie `todosHasNextPage` and `todosIsFetchingNextPage`. These are false until the first
+ * page has loaded.
+ */
+function getPageStates(resources: Resource[]) {
+  return resources
+    .filter(([, config]) => !!(ModelMap[config.resourceKey] as typeof Collection)?.pagination)
+    .reduce((memo, [name, config]) => {
+      const collection = getModelFromCache(config) as Collection | undefined;
+
+      return Object.assign(memo, {
+        [`${name}HasNextPage`]: !!collection?.hasNextPage(),
+        [`${name}IsFetchingNextPage`]: !!collection?.isFetchingNextPage,
+      });
+    }, {});
+}
+
+/**
+ * Filter predicate for resources whose cached models were fetched longer ago than their staleTime,
+ * which can be set on the resource config or as a static property on the model.
+ */
+function isStale([, config]: Resource) {
+  const staleTime = getStaleTime(config);
+
+  return typeof staleTime === "number" && ModelCache.isStale(getCacheKey(config), staleTime);
+}
+
+/**
+ * A resource's staleTime, from either its config or a static property on its model.
+ */
+function getStaleTime(config: InternalResourceConfigObj) {
+  return (
+    config.staleTime ?? (ModelMap[config.resourceKey] as ConstructorTypes | undefined)?.staleTime
+  );
+}
+
 /**
  * Filter predicate to remove prefetched resources from a resources list.
  */
@@ -1024,6 +1194,73 @@ function fetchResources(
   );
 }
 
+/**
+ * Refetches already-loaded resources in the background. The request module keeps the cached model
+ * in place and flags it as revalidating, and since the component is already listening on it, the
+ * new data will render as soon as the request returns. Failures are swallowed because the
+ * previously-fetched data is still valid to show. Pass `fresh` to not reuse a request that is
+ * already in flight (see the request module).
+ */
+function revalidateResources(
+  resources: Resource[],
+  { component, fresh }: { component?: Record<string, never>; fresh?: boolean } = {},
+) {
+  return Promise.all(
+    resources.map(([, config]) => {
+      const { resourceKey, provides, refetch, ...rest } = config;
+
+      return request(getCacheKey(config), ModelMap[resourceKey]!, {
+        component,
+        ...rest,
+        fresh,
+        revalidate: true,
+      }).catch(noOp);
+    }),
+  );
+}
+
+/**
+ * Starts polling any resources with a `pollInterval`. Each poll revalidates its resource in the
+ * background, so it never leaves its loaded state. Polls are run by the ModelCache and not by the
+ * component, because they should keep going as long as any component is using the resource.
+ */
+function pollResources(resources: Resource[]) {
+  resources.forEach((resource) => {
+    const [, config] = resource;
+
+    if (config.pollInterval && !config.lazy) {
+      ModelCache.poll(getCacheKey(config), config.pollInterval, () =>
+        revalidateResources([resource]),
+      );
+    }
+  });
+}
+
+/**
+ * Registers resources to be revalidated in the background when the document becomes visible again
+ * or when the browser comes back online, depending on their `refetchOnFocus` and
+ * `refetchOnReconnect` options (which fall back to the global config). A resource with a staleTime
+ * is only revalidated if it has gone stale. Each component registers its own options.
+ */
+function revalidateOnWindowEvents(resources: Resource[], component: Record<string, never>) {
+  resources.forEach((resource) => {
+    const [, config] = resource;
+
+    if (!config.lazy) {
+      ModelCache.revalidateOn(
+        getCacheKey(config),
+        component,
+        {
+          onFocus: config.refetchOnFocus ?? ResourcesConfig.refetchOnFocus,
+          onReconnect: config.refetchOnReconnect ?? ResourcesConfig.refetchOnReconnect,
+          staleTime: getStaleTime(config),
+        },
+        (options) => revalidateResources([resource], options),
+      );
+    }
+  });
+}
+
 /**
  * Add any dependencies that the model provides as resource state.
  */
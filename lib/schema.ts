@@ -0,0 +1,134 @@
+import type Collection from "./collection.js";
+import type Model from "./model.js";
+
+// a schema field for a value, which can also be nested in a list
+type SchemaValueField =
+  | "string"
+  | "number"
+  | "boolean"
+  | "date"
+  | { enum: readonly (string | number)[] }
+  | readonly [SchemaValueField];
+
+/**
+ * A field in a model's static `schema`. Fields can be:
+ *
+ *   * "string", "number", "boolean" or "date" for primitives. Dates are coerced from ISO strings or
+ *     timestamps and serialized back to ISO strings
+ *   * {enum: [...values]} for a fixed set of strings or numbers
+ *   * a single-item array of any of the above, ie `["date"]`, for a list of that field
+ *   * a Model or Collection class for nested resources. These are set up by the model as `hasOne`
+ *     and `hasMany` relations, so they are left alone here
+ */
+export type SchemaField =
+  | SchemaValueField
+  | (new (...args: any[]) => Model<any, any> | Collection<any, any>);
+
+export type Schema = Record<string, SchemaField>;
+
+export type SchemaFieldType<F> =
+  F extends "string" ? string
+  : F extends "number" ? number
+  : F extends "boolean" ? boolean
+  : F extends "date" ? Date
+  : F extends { enum: readonly (infer E)[] } ? E
+  : F extends readonly [infer I] ? SchemaFieldType<I>[]
+  : F extends new (...args: any[]) => infer M ? M
+  : never;
+
+/**
+ * Infers a model's attribute types from its schema so that they don't have to be declared twice.
+ * The schema should be declared `as const`:
+ *
+ *   const todoSchema = {id: "string", createdAt: "date"} as const satisfies Schema;
+ *
+ *   class TodoModel extends Model<SchemaAttributes<typeof todoSchema>> {
+ *     static schema = todoSchema;
+ *   }
+ */
+export type SchemaAttributes<S extends Schema> = {
+  -readonly [K in keyof S]: SchemaFieldType<S[K]>;
+};
+
+/**
+ * Coerces every attribute that has a schema field into that field's type. Attributes without a
+ * field, as well as null and undefined values, are left as-is, and values that are already of the
+ * right type are returned unchanged, so coercing is safe to do more than once. Values that can't be
+ * coerced, ie "abc" for a number, are also left as-is rather than becoming NaN or an invalid date.
+ */
+export function coerceAttributes<T extends Record<string, any>>(schema: Schema, attrs: T): T {
+  return Object.keys(attrs).reduce((memo, key) => {
+    const field = schema[key];
+
+    return Object.assign(memo, { [key]: field ? coerce(field, attrs[key]) : attrs[key] });
+  }, {} as T);
+}
+
+/**
+ * The reverse of `coerceAttributes`, turning attributes back into their JSON representation.
+ */
+export function serializeAttributes<T extends Record<string, any>>(
+  schema: Schema,
+  attrs: T,
+): Record<string, any> {
+  return Object.keys(attrs).reduce((memo, key) => {
+    const field = schema[key];
+
+    return Object.assign(memo, { [key]: field ? serialize(field, attrs[key]) : attrs[key] });
+  }, {});
+}
+
+function coerce(field: SchemaField, value: any): any {
+  if (value === null || value === undefined) {
+    return value;
+  } else if (Array.isArray(field)) {
+    return Array.isArray(value) ? value.map((item) => coerce(field[0], item)) : value;
+  } else if (typeof field === "function") {
+    return value;
+  } else if (typeof field === "object") {
+    // numeric enum values may come back from the server as strings
+    return (
+      (field as { enum: readonly (string | number)[] }).enum.find(
+        (enumValue) => String(enumValue) === String(value),
+      ) ?? value
+    );
+  }
+
+  switch (field) {
+    case "string":
+      return typeof value === "object" ? value : String(value);
+    case "number":
+      return typeof value === "string" && value.trim() ?
+          unlessInvalid(Number(value), value)
+        : value;
+    case "boolean":
+      return (
+        ["false", "0", ""].includes(value) ? false
+        : ["true", "1"].includes(value) ? true
+        : typeof value === "number" ? !!value
+        : value
+      );
+    case "date":
+      return typeof value === "string" || typeof value === "number" ?
+          unlessInvalid(new Date(value), value)
+        : value;
+  }
+}
+
+/**
+ * Returns the coerced value unless coercion failed, in which case the original value is returned.
+ */
+function unlessInvalid(coerced: number | Date, value: any) {
+  return isNaN(coerced.valueOf()) ? value : coerced;
+}
+
+function serialize(field: SchemaField, value: any): any {
+  if (Array.isArray(field)) {
+    return Array.isArray(value) ? value.map((item) => serialize(field[0], item)) : value;
+  }
+
+  // Dates know how to serialize themselves. Models and Collections are serialized as relations
+  return typeof field !== "function" && typeof value?.toJSON === "function" ?
+      value.toJSON()
+    : value;
+}
@@ -0,0 +1,183 @@
+import { ModelMap } from "./config.js";
+import CanonicalModel from "./canonical-model.js";
+import CanonicalModelCache, { canonicalModelCache } from "./canonical-model-cache.js";
+import Collection from "./collection.js";
+import Model from "./model.js";
+import ModelCache, { getCacheKey } from "./model-cache.js";
+import request from "./request.js";
+import type { ExecutorFunction, Props, ResourceKeys } from "./types.js";
+
+export type DehydratedResource = {
+  cacheKey: string;
+  resourceKey: ResourceKeys;
+  data: Record<string, any> | Record<string, any>[];
+  options: Record<string, any>;
+  fetchTime: number;
+};
+
+export type DehydratedState = {
+  resources: DehydratedResource[];
+  canonicalModels: { id: string; modelId: string | number; attributes: Record<string, any> }[];
+};
+
+/**
+ * Serializes the ModelCache and the CanonicalModelCache into a JSON-friendly payload. Call this on
+ * the server after loading a page's resources (see `loadResources`), and pass the result to
+ * `hydrate` on the client before rendering.
+ */
+export function dehydrate(): DehydratedState {
+  const canonicalModelIds = getCanonicalModelIds();
+
+  return {
+    resources: ModelCache.keys()
+      .map(dehydrateResource)
+      .filter((resource): resource is DehydratedResource => !!resource),
+    canonicalModels: [...canonicalModelCache].flatMap(([CanonicalModelClass, canonicalModels]) =>
+      canonicalModelIds.has(CanonicalModelClass) ?
+        [...canonicalModels].map(([modelId, canonicalModel]) => ({
+          id: canonicalModelIds.get(CanonicalModelClass)!,
+          modelId,
+          attributes: canonicalModel.toJSON(),
+        }))
+      : [],
+    ),
+  };
+}
+
+/**
+ * Rebuilds the ModelCache and CanonicalModelCache from a payload created by `dehydrate`. Call this
+ * on the client before the first render so that any component using these resources renders them
+ * in a "loaded" state right away. Resources that are already cached are left alone.
+ */
+export function hydrate({ resources = [], canonicalModels = [] }: Partial<DehydratedState>) {
+  const canonicalModelClasses = new Map(
+    [...getCanonicalModelIds()].map(([CanonicalModelClass, id]) => [id, CanonicalModelClass]),
+  );
+
+  // canonical models go first so that they are already in place when our models subscribe to them
+  canonicalModels.forEach(({ id, modelId, attributes }) => {
+    const CanonicalModelClass = canonicalModelClasses.get(id);
+
+    if (CanonicalModelClass) {
+      Object.assign(
+        CanonicalModelCache.getOrInsert(CanonicalModelClass, modelId).attributes,
+        attributes,
+      );
+    }
+  });
+
+  resources.filter(({ cacheKey }) => !ModelCache.get(cacheKey)).forEach(hydrateResource);
+}
+
+/**
+ * Server-side helper that requests all of the resources in an executor function and resolves once
+ * they have all returned, at which point the ModelCache can be dehydrated. Resources that depend on
+ * props provided by other resources (see serial requests) are requested once those props are
+ * available. Failed requests are ignored, since the client will request them again.
+ */
+export function loadResources(getResources: ExecutorFunction, props: Props = {}): Promise<void> {
+  // registering with a component keeps the ModelCache from scheduling our resources for removal
+  // while the rest are still loading. it is unregistered once they have all returned, so resources
+  // that aren't cleared after dehydrating are removed after the grace period like any other.
+  const component = {};
+  const unregister = () => ModelCache.unregister(component);
+  const requestedCacheKeys = new Set<string>();
+
+  const load = (currentProps: Props): Promise<void> => {
+    const resources = Object.entries(getResources(currentProps) || {})
+      .map(([name, config = {}]) => ({ ...config, resourceKey: config.resourceKey || name }))
+      .filter((config) => !("dependsOn" in config) || !!config.dependsOn)
+      .filter((config) => !requestedCacheKeys.has(getCacheKey(config)));
+
+    if (!resources.length) {
+      return Promise.resolve();
+    }
+
+    return Promise.all(
+      resources.map(({ resourceKey, provides, prefetches, ...config }) => {
+        const cacheKey = getCacheKey({ resourceKey, ...config });
+
+        requestedCacheKeys.add(cacheKey);
+
+        return request(cacheKey, ModelMap[resourceKey]!, { ...config, component }).then(
+          ([model]) => provides?.(model, currentProps) || {},
+          () => ({}),
+        );
+      }),
+    ).then((providedProps) => load(Object.assign({ ...currentProps }, ...providedProps)));
+  };
+
+  return load(props).then(unregister, (err) => {
+    unregister();
+
+    return Promise.reject(err);
+  });
+}
+
+/**
+ * Serializes a cached resource along with everything needed to reconstruct it. Resources that were
+ * never fetched from the server, like lazy ones, are skipped.
+ */
+export function dehydrateResource(cacheKey: string): DehydratedResource | undefined {
+  const model = ModelCache.get(cacheKey);
+  const fetchTime = ModelCache.getFetchTime(cacheKey);
+
+  if (model && fetchTime !== undefined && !model.lazy) {
+    return {
+      cacheKey,
+      resourceKey: cacheKey.split("~")[0] as ResourceKeys,
+      data: model.toJSON(),
+      options: model.urlOptions,
+      fetchTime,
+    };
+  }
+}
+
+/**
+ * Reconstructs a serialized resource via its ModelMap entry and puts it in the ModelCache. It keeps
+ * its original fetch time so that any staleTime still applies.
+ */
+export function hydrateResource({
+  cacheKey,
+  resourceKey,
+  data,
+  options,
+  fetchTime,
+}: DehydratedResource) {
+  if (ModelMap[resourceKey]) {
+    ModelCache.put(cacheKey, new ModelMap[resourceKey]!(data, options));
+    ModelCache.markFetched(cacheKey, fetchTime);
+  }
+}
+
+/**
+ * Canonical model classes aren't registered anywhere, so to match them up between the server and
+ * the client, we identify them by the first ModelMap entry that subscribes to them and their
+ * position in its subscriptions. Both sides share a ModelMap, so these ids are stable.
+ */
+function getCanonicalModelIds() {
+  const canonicalModelIds = new Map<typeof CanonicalModel<any>, string>();
+
+  for (const resourceKey of Object.keys(ModelMap).sort()) {
+    const Constructor = ModelMap[resourceKey] as typeof Model | typeof Collection;
+    // collections can declare subscriptions for their models or leave them to their Model class
+    const Constructors =
+      Constructor.prototype instanceof Collection ?
+        [Constructor, (Constructor as typeof Collection).Model as typeof Model]
+      : [Constructor];
+
+    Constructors.flatMap(({ CanonicalModel, subscriptions = [] }) => [
+      ...(CanonicalModel ? [CanonicalModel] : []),
+      ...subscriptions.map(({ Model }) => Model),
+    ]).forEach((CanonicalModelClass, index) => {
+      if (!canonicalModelIds.has(CanonicalModelClass as typeof CanonicalModel<any>)) {
+        canonicalModelIds.set(
+          CanonicalModelClass as typeof CanonicalModel<any>,
+          `${resourceKey}.${index}`,
+        );
+      }
+    });
+  }
+
+  return canonicalModelIds;
+}
@@ -1,4 +1,4 @@
-import { result, urlError } from "./utils.js";
+import { isDeepEqual, result, urlError } from "./utils.js";
 
 import { ResourcererConfig, ResourcesConfig } from "./config.js";
 import Model from "./model.js";
@@ -16,32 +16,84 @@ export type SyncOptions = {
   minDuration?: number;
   error?: (response: Response) => any;
   headers?: Record<string, string>;
+  signal?: AbortSignal;
   // they are free to add any other options they like
   [key: string]: any;
 };
 
+type AjaxOptions = SyncOptions & Required<Pick<SyncOptions, "error" | "url" | "params">>;
+type Next = (options: AjaxOptions) => Promise<SyncResolvedValue>;
+
+// the values from a resource's last response that let us make its next request conditional
+export type Validators = {
+  url: string;
+  params: Record<string, any>;
+  etag: string | null;
+  lastModified: string | null;
+};
+
+/**
+ * Middleware wraps every request made via `sync`. It is passed the request options, a `next`
+ * function that continues the request with (possibly modified) options, and the model making the
+ * request. It should return a promise that resolves with a tuple of the response json and the
+ * Response, or rejects, which usually means returning `next(options)` with some handling chained
+ * onto it. But it can also call `next` more than once, ie to retry, or not at all, ie to respond
+ * with mock data.
+ */
+export type Middleware = (
+  options: AjaxOptions,
+  next: Next,
+  model: Model | Collection,
+) => Promise<SyncResolvedValue>;
+
 let prefilter: ResourcererConfig["prefilter"] = (x) => x;
+// the in-flight call to the `refreshToken` config method, which concurrent 401s all wait on
+let tokenRefresh: Promise<unknown> | undefined;
+// incremented after each successful token refresh, so that a request can tell whether the token has
+// been refreshed since it was sent
+let tokenVersion = 0;
 
 /**
  * The basic sync function, which does very little other than prep the options argument sent to the
  * ajax function. It basically sets up defaults, seeding the query params if not explicitly
  * specified already. It also finds the base url or throws if one does not exist.
  *
+ * The request is then passed through any middleware, first the global middleware from the config
+ * and then any from the model's static `middleware` property, before making the fetch call. If a
+ * `refreshToken` method is configured, requests that fail with a 401 are replayed through all of
+ * the middleware once the token has been refreshed. GET requests for a model that has already been
+ * fetched are made conditional (see `sendValidators` below).
+ *
  * @param {Model|Collection} model - model making API request
  * @param {object} options - generic map of request options
  * @return {promise} fetch request. resolves with an array of the model and its request status or
  *   rejects with the response
  */
 export default function (model: Model | Collection, options: SyncOptions = {}) {
-  return ajax({
+  const makeRequest = applyMiddleware(
+    [
+      replayUnauthorized,
+      ...ResourcesConfig.middleware,
+      ...((model.constructor as { middleware?: Middleware[] }).middleware || []),
+      sendValidators,
+    ],
+    model,
+  );
+
+  return makeRequest({
     contentType: MIME_TYPE_JSON,
     params:
       options.params ||
       (["POST", "PATCH", "PUT"].includes(options.method || "") ?
         options.attrs || model.toJSON()
       : {}),
-    // url can be passed via the model (as a property or function) or via options.url directly
-    url: options.url || result(model, "url", model.urlOptions) || urlError(),
+    // url can be passed via the model (as a property or function) or via options.url directly.
+    // relations without a url of their own are nested under their parent's url
+    url:
+      options.url ||
+      result(model, "url", model.urlOptions) ||
+      model.parent?._getNestedUrl(model._parentPath!) ||
+      urlError(),
     // default catch block. most large applications should override this in the config settings to
     // provide support for things like 401s or 429s.
     error: (response: Response) => response,
@@ -63,12 +115,15 @@ export default function (model: Model | Collection, options: SyncOptions = {}) {
  *     bodies are assembled
  *   * error {function} - rejected promise callback, called with the request Response object. this
  *     should be customized for most large applications
+ *   * signal {AbortSignal} - passed directly to `fetch` so that the request can be aborted. an
+ *     aborted request rejects with fetch's AbortError and not a Response
+ * A 304 Not Modified response is considered successful, since it means that the data we already
+ * have is still current.
+ *
  * @return {promise} fetch request. resolves with an array of the model and its request status or
  *   rejects with the response
  */
-export function ajax(
-  options: SyncOptions & Required<Pick<SyncOptions, "error" | "url" | "params">>,
-): Promise<SyncResolvedValue> {
+export function ajax(options: AjaxOptions): Promise<SyncResolvedValue> {
   const hasParams = options.params instanceof FormData || !!Object.keys(options.params).length;
   const hasBodyContent = !/^(?:GET|HEAD)$/.test(options.method || "") && hasParams;
   const startTime = Date.now();
@@ -79,7 +134,7 @@ export function ajax(
       resolve: (value: SyncResolvedValue) => void,
       reject: (response?: any) => void,
     ) =>
-      response.ok ?
+      response.ok || response.status === 304 ?
         resolve([json, response])
       : reject(options.error(Object.assign(response, { json })));
 
@@ -136,6 +191,99 @@ export function ajax(
     );
 }
 
+/**
+ * Built-in middleware that, when a `refreshToken` method is configured, handles 401s by refreshing
+ * the access token and replaying the request once. Only one refresh happens at a time; any other
+ * requests that fail with a 401 in the meantime wait for it, and requests sent before a refresh
+ * completed are replayed without another refresh. If the refresh fails, the `onAuthFailure` config
+ * method is called once and each waiting request rejects with its original response.
+ */
+const replayUnauthorized: Middleware = (options, next) => {
+  const requestTokenVersion = tokenVersion;
+
+  return next(options).catch((response) => {
+    const { refreshToken, onAuthFailure } = ResourcesConfig;
+
+    if (!refreshToken || response?.status !== 401) {
+      return Promise.reject(response);
+    }
+
+    if (requestTokenVersion === tokenVersion) {
+      tokenRefresh ??= Promise.resolve()
+        .then(refreshToken)
+        .then(
+          () => {
+            tokenRefresh = undefined;
+            tokenVersion++;
+          },
+          (err) => {
+            tokenRefresh = undefined;
+            onAuthFailure(response);
+
+            return Promise.reject(err);
+          },
+        );
+    }
+
+    return Promise.resolve(tokenRefresh).then(
+      () => next(options),
+      () => Promise.reject(response),
+    );
+  });
+};
+
+/**
+ * Built-in middleware that makes GET requests conditional. After each response, we remember its
+ * ETag and Last-Modified headers on the model, and the next request for the same url and params
+ * sends them back as If-None-Match and If-Modified-Since headers. If nothing has changed, the server
+ * can then respond with a bodiless 304 instead of the full resource.
+ */
+const sendValidators: Middleware = (options, next, model) => {
+  const { validators } = model;
+
+  if (options.method !== "GET") {
+    return next(options);
+  }
+
+  const isSameRequest =
+    validators?.url === options.url && isDeepEqual(validators.params, options.params);
+
+  return next({
+    ...options,
+    headers: {
+      ...(isSameRequest && validators.etag ? { "If-None-Match": validators.etag } : {}),
+      ...(isSameRequest && validators.lastModified ?
+        { "If-Modified-Since": validators.lastModified }
+      : {}),
+      ...options.headers,
+    },
+  }).then((result) => {
+    const [, response] = result;
+
+    if (response.status !== 304) {
+      model.validators = {
+        url: options.url,
+        params: options.params,
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified"),
+      };
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Composes a list of middleware into a single function that makes a request. The first middleware
+ * in the list is the outermost, so it sees the request first and the response last.
+ */
+function applyMiddleware(middleware: Middleware[], model: Model | Collection) {
+  return middleware.reduceRight<Next>(
+    (next, currentMiddleware) => (options) => currentMiddleware(options, next, model),
+    ajax,
+  );
+}
+
 /**
  * Override this to provide custom request options manipulation before a request
  * goes out, for example, to add auth headers to the `headers` property, or to
@@ -1,6 +1,7 @@
 import Model from "./model.js";
 import Collection from "./collection.js";
 import { invalidate } from "./model-cache.js";
+import type { RetryConfig } from "./config.js";
 
 export type LoadingStates = "error" | "loading" | "loaded" | "pending";
 export type Resource = [string, InternalResourceConfigObj];
@@ -30,8 +31,17 @@ export type ResourceConfigObj = {
   params?: { [key: string]: any };
   prefetches?: { [key: string]: any }[];
   provides?: (model: Model | Collection, props: Record<string, any>) => { [key: string]: any };
+  pollInterval?: number;
+  refetchOnFocus?: boolean;
+  refetchOnReconnect?: boolean;
+  retry?: Partial<RetryConfig>;
+  staleTime?: number;
+  tags?: Tags;
 };
 
+// tags can be static or derived from a resource's config, ie its path or params
+export type Tags = string[] | ((config: ResourceConfigObj) => string[]);
+
 export type InternalResourceConfigObj = ResourceConfigObj & {
   resourceKey: ResourceKeys;
   prefetch?: boolean;
@@ -56,11 +66,27 @@ export type UseResourcesResponse = {
   hasErrored: boolean;
   hasLoaded: boolean;
   hasInitiallyLoaded: boolean;
+  isRevalidating: boolean;
   refetch: (keys: ResourceKeys[]) => void;
   invalidate: typeof invalidate;
   setResourceState(newState: { [key: string]: any }): void;
 };
 
+export type MutationOptions<Args extends any[], R> = {
+  onSuccess?: (result: R, ...args: Args) => void;
+  onError?: (response: Response | undefined, ...args: Args) => void;
+};
+
+export type UseMutationResponse<Args extends any[], R> = {
+  mutate: (...args: Args) => Promise<R>;
+  isPending: boolean;
+  hasErrored: boolean;
+  hasSucceeded: boolean;
+  status?: number;
+  error?: Response;
+  reset: () => void;
+};
+
 // limit this to 3 levels deep because sometimes objects can reference themselves
 export type NestedKeys<T, Depth extends number = 3> =
   Depth extends 0 ? never
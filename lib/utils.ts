@@ -93,17 +93,20 @@ export const uniqueId = (() => {
 /**
  * Used to throw when a url function or property has not been specified on a Model or Collection.
  */
-export function urlError() {
+export function urlError(): never {
   throw new Error('A "url" property or function must be specified');
 }
 
 /**
  * Does a nested comparison between two objects to determine whether or not they are equivalent by
- * value.
+ * value. Objects that serialize themselves, like dates and nested models, are compared by their
+ * serialized values.
  */
-export function isDeepEqual(obj1: Record<string, any>, obj2: Record<string, any>) {
+export function isDeepEqual(obj1: Record<string, any>, obj2: Record<string, any>): boolean {
   if (obj1 === obj2) {
     return true;
+  } else if (typeof obj1?.toJSON === "function" && typeof obj2?.toJSON === "function") {
+    return isDeepEqual(obj1.toJSON(), obj2.toJSON());
   } else if (
     typeof obj1 === "object" &&
     obj1 !== null &&
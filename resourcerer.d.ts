@@ -1,6 +1,7 @@
 import Model from "./build/lib/model.js";
 import Collection from "./build/lib/collection.js";
 import { invalidate } from "./build/lib/model-cache.js";
+import { type RetryConfig } from "./build/lib/config.js";
 
 export * from "./build/index.js";
 
@@ -29,6 +30,12 @@ declare module "resourcerer" {
       model: InstanceType<ModelMap[K]>,
       props: Record<string, any>
     ) => { [key: string]: any };
+    pollInterval?: number;
+    refetchOnFocus?: boolean;
+    refetchOnReconnect?: boolean;
+    retry?: Partial<RetryConfig>;
+    staleTime?: number;
+    tags?: string[] | ((config: ResourceConfigObj<K>) => string[]);
   };
 
   export interface ModelMap {}
@@ -43,6 +50,7 @@ declare module "resourcerer" {
     hasErrored: boolean;
     hasLoaded: boolean;
     hasInitiallyLoaded: boolean;
+    isRevalidating: boolean;
     refetch: (keys: ResourceKeys | ResourceKeys[]) => void;
     invalidate: typeof invalidate;
     setResourceState(newState: { [key: string]: any }): void;
@@ -57,5 +65,11 @@ declare module "resourcerer" {
     [Key in T as `${T}LoadingState`]: LoadingStates;
   } & {
     [Key in T as `${T}Status`]: number;
+  } & {
+    [Key in T as `${T}HasNextPage`]?: boolean;
+  } & {
+    [Key in T as `${T}IsFetchingNextPage`]?: boolean;
   };
+
+  export const useSuspenseResources: typeof useResources;
 }
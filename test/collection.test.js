@@ -340,6 +340,45 @@ describe("Collection", () => {
       collection.set();
       expect(collection.toJSON()).toEqual([{ id: "model1" }, { id: "model2" }, { id: "model3" }]);
     });
+
+    it("does not add new models if `add` is false or merge existing ones if `merge` is false", () => {
+      collection.set([{ id: "model3", name: "zorah" }, { id: "model4" }], { add: false });
+      expect(collection.toJSON()).toEqual([
+        { id: "model1" },
+        { id: "model2" },
+        { id: "model3", name: "zorah" },
+      ]);
+
+      collection.set([{ id: "model3", name: "noah" }, { id: "model4" }], { merge: false });
+      expect(collection.toJSON()).toEqual([
+        { id: "model1" },
+        { id: "model2" },
+        { id: "model3", name: "zorah" },
+        { id: "model4" },
+      ]);
+    });
+
+    it("removes missing models and keeps existing ones if `remove` is true", () => {
+      var [model1, model2, model3] = collection.models;
+
+      vi.spyOn(model1, "unsubscribe");
+      collection.set([{ id: "model3", name: "zorah" }, { id: "model4" }, { id: "model2" }], {
+        remove: true,
+      });
+
+      // takes on the order of the list
+      expect(collection.toJSON()).toEqual([
+        { id: "model3", name: "zorah" },
+        { id: "model4" },
+        { id: "model2" },
+      ]);
+      expect(collection.length).toEqual(3);
+      expect(collection.get("model3")).toBe(model3);
+      expect(collection.get("model2")).toBe(model2);
+      expect(collection.get("model1")).not.toBeDefined();
+      expect(model1.unsubscribe).toHaveBeenCalled();
+      expect(model1.collection).not.toBeDefined();
+    });
   });
 
   describe("get", () => {
@@ -546,6 +585,41 @@ describe("Collection", () => {
       expect(await collection.fetch()).toEqual([collection, response]);
     });
 
+    it("merges the response into existing models if `smartMerge` is set", async () => {
+      var model1, model2, model3;
+
+      class SmartCollection extends Collection {
+        static smartMerge = true;
+      }
+
+      collection = new SmartCollection([
+        { id: "one" },
+        { id: "two", name: "noah" },
+        { id: "three" },
+      ]);
+      [model1, model2, model3] = collection.models;
+      collection.onUpdate(callback);
+      vi.spyOn(model1, "triggerUpdate");
+      sync.default.mockResolvedValue([[{ id: "two", name: "zorah" }, { id: "one" }], response]);
+
+      await collection.fetch();
+      expect(collection.toJSON()).toEqual([{ id: "two", name: "zorah" }, { id: "one" }]);
+      expect(collection.models).toEqual([model2, model1]);
+      expect(collection.has(model3)).toBe(false);
+      // a single update for the whole fetch
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(model1.triggerUpdate).not.toHaveBeenCalled();
+
+      // can also be turned on or off per fetch
+      await collection.fetch({ smartMerge: false });
+      expect(collection.at(0)).not.toBe(model2);
+
+      collection = new Collection([{ id: "one" }]);
+      model1 = collection.at(0);
+      await collection.fetch({ parse: false, smartMerge: true });
+      expect(collection.models).toEqual([collection.get("two"), model1]);
+    });
+
     it("rejects the response", async () => {
       sync.default.mockRejectedValue(response);
 
@@ -557,6 +631,199 @@ describe("Collection", () => {
     });
   });
 
+  describe("pagination", () => {
+    class OffsetCollection extends Collection {
+      static pagination = { strategy: "offset", pageSize: 2 };
+    }
+
+    class CursorCollection extends Collection {
+      static pagination = { strategy: "cursor" };
+
+      parse(response) {
+        this.nextPage = response.next;
+        this.previousPage = response.prev;
+
+        return response.results;
+      }
+    }
+
+    it("requests pages by offset and appends them to the collection", async () => {
+      collection = new OffsetCollection();
+      sync.default.mockResolvedValue([[{ id: "one" }, { id: "two" }], {}]);
+
+      await collection.fetch({ params: { q: "test" } });
+      expect(sync.default).toHaveBeenLastCalledWith(collection, {
+        method: "GET",
+        parse: true,
+        params: { q: "test", limit: 2 },
+      });
+      expect(collection.hasNextPage()).toBe(true);
+      expect(collection.hasPreviousPage()).toBe(false);
+
+      sync.default.mockResolvedValue([[{ id: "three" }, { id: "four" }], {}]);
+      await collection.fetchNextPage();
+      expect(sync.default.mock.lastCall[1].params).toEqual({ q: "test", limit: 2, offset: 2 });
+      expect(collection.pluck("id")).toEqual(["one", "two", "three", "four"]);
+      expect(collection.nextPage).toEqual(4);
+
+      // an empty page means we've reached the end
+      sync.default.mockResolvedValue([[], {}]);
+      await collection.fetchNextPage();
+      expect(collection.hasNextPage()).toBe(false);
+
+      sync.default.mockClear();
+      await collection.fetchNextPage();
+      expect(sync.default).not.toHaveBeenCalled();
+    });
+
+    it("requests previous pages by page number and prepends them to the collection", async () => {
+      collection = new (class extends Collection {
+        static pagination = { strategy: "page", param: "p" };
+      })();
+      sync.default.mockResolvedValue([[{ id: "three" }], {}]);
+
+      await collection.fetch({ params: { p: 2 } });
+      expect(collection.nextPage).toEqual(3);
+      expect(collection.previousPage).toEqual(1);
+
+      sync.default.mockResolvedValue([[{ id: "one" }, { id: "two" }], {}]);
+      await collection.fetchPreviousPage();
+      expect(sync.default.mock.lastCall[1].params).toEqual({ p: 1 });
+      expect(collection.pluck("id")).toEqual(["one", "two", "three"]);
+      expect(collection.hasPreviousPage()).toBe(false);
+      // fetching backwards does not change the next page
+      expect(collection.nextPage).toEqual(3);
+    });
+
+    it("requests pages by the cursors set in parse", async () => {
+      collection = new CursorCollection();
+      sync.default.mockResolvedValue([{ results: [{ id: "one" }], next: "abc" }, {}]);
+
+      await collection.fetch();
+      expect(collection.nextPage).toEqual("abc");
+      expect(collection.previousPage).toBe(null);
+
+      sync.default.mockResolvedValue([{ results: [{ id: "two" }], prev: "abc" }, {}]);
+      await collection.fetchNextPage();
+      expect(sync.default.mock.lastCall[1].params).toEqual({ cursor: "abc" });
+      expect(collection.pluck("id")).toEqual(["one", "two"]);
+      expect(collection.hasNextPage()).toBe(false);
+    });
+
+    it("flags the collection while a page is being fetched, and only fetches it once", async () => {
+      var request;
+
+      collection = new CursorCollection();
+      sync.default.mockResolvedValue([{ results: [{ id: "one" }], next: "abc" }, {}]);
+      await collection.fetch();
+      collection.onUpdate(callback);
+      sync.default.mockClear();
+
+      request = collection.fetchNextPage();
+      expect(collection.isFetchingNextPage).toBe(true);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(collection.fetchNextPage()).toEqual(request);
+
+      await request;
+      expect(sync.default).toHaveBeenCalledTimes(1);
+      expect(collection.isFetchingNextPage).not.toBeDefined();
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      sync.default.mockRejectedValue({ status: 500 });
+      collection.nextPage = "def";
+      await expect(collection.fetchNextPage()).rejects.toEqual({ status: 500 });
+      expect(collection.isFetchingNextPage).not.toBeDefined();
+      expect(collection.nextPage).toEqual("def");
+    });
+
+    it("refetches every loaded page when revalidated", async () => {
+      collection = new CursorCollection();
+      sync.default.mockResolvedValueOnce([{ results: [{ id: "one" }], next: "abc" }, {}]);
+      await collection.fetch({ params: { q: "test" } });
+      sync.default.mockResolvedValueOnce([{ results: [{ id: "two" }], next: "def" }, {}]);
+      await collection.fetchNextPage();
+      collection.onUpdate(callback);
+      collection.validators = { url: "/items", params: { q: "test", cursor: "abc" }, etag: "v1" };
+
+      sync.default.mockImplementation((_collection, { params }) =>
+        Promise.resolve(
+          params.cursor ?
+            [{ results: [{ id: "two" }, { id: "three" }], next: "ghi" }, {}]
+          : [{ results: [{ id: "zero" }, { id: "one" }], next: "abc" }, {}],
+        ),
+      );
+      await collection.fetch({ params: { q: "test" }, revalidate: true });
+
+      expect(sync.default.mock.calls.slice(-2).map(([, { params }]) => params)).toEqual([
+        { q: "test" },
+        { q: "test", cursor: "abc" },
+      ]);
+      expect(collection.pluck("id")).toEqual(["zero", "one", "two", "three"]);
+      expect(collection.nextPage).toEqual("ghi");
+      expect(collection.previousPage).toBe(null);
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      // a plain fetch still starts over
+      await collection.fetch({ params: { q: "test" } });
+      expect(collection.pluck("id")).toEqual(["zero", "one"]);
+    });
+  });
+
+  describe("history", () => {
+    class EditorCollection extends Collection {
+      static history = true;
+    }
+
+    beforeEach(() => {
+      collection = new EditorCollection([{ id: "noah" }, { id: "zorah" }]);
+    });
+
+    it("undoes and redoes models being added and removed", () => {
+      var zorah = collection.get("zorah");
+
+      collection.add({ id: "alex" }, { at: 0 });
+      collection.remove("zorah");
+      expect(collection.toJSON()).toEqual([{ id: "alex" }, { id: "noah" }]);
+
+      collection.undo();
+      expect(collection.toJSON()).toEqual([{ id: "alex" }, { id: "noah" }, { id: "zorah" }]);
+      // the same model is restored
+      expect(collection.get("zorah")).toEqual(zorah);
+      expect(zorah.collection).toEqual(collection);
+
+      collection.undo();
+      expect(collection.toJSON()).toEqual([{ id: "noah" }, { id: "zorah" }]);
+      expect(collection.canUndo()).toBe(false);
+
+      collection.redo();
+      expect(collection.toJSON()).toEqual([{ id: "alex" }, { id: "noah" }, { id: "zorah" }]);
+      expect(collection.canRedo()).toBe(true);
+    });
+
+    it("records a set that adds and removes models as a single step", () => {
+      collection.set([{ id: "zorah" }, { id: "alex" }], { remove: true });
+      expect(collection.toJSON()).toEqual([{ id: "zorah" }, { id: "alex" }]);
+
+      collection.undo();
+      expect(collection.toJSON()).toEqual([{ id: "noah" }, { id: "zorah" }]);
+      expect(collection.canUndo()).toBe(false);
+    });
+
+    it("does not record changes from server requests, and is cleared by a reset", async () => {
+      sync.default.mockResolvedValue([[{ id: "alex" }], {}]);
+      collection.url = () => "/people";
+      collection.add({ id: "lola" });
+
+      await collection.create({ name: "Bill" });
+      await collection.fetch({ smartMerge: true });
+      expect(collection.toJSON()).toEqual([{ id: "alex" }]);
+      expect(collection.canUndo()).toBe(true);
+
+      collection.reset([{ id: "noah" }]);
+      expect(collection.canUndo()).toBe(false);
+    });
+  });
+
   describe("create", () => {
     var response = {};
 
@@ -34,6 +34,8 @@ describe("Config", () => {
         prefilterSpy = vi.fn();
 
       expect(Config.ResourcesConfig.cacheGracePeriod).toEqual(120000);
+      expect(Config.ResourcesConfig.maxCacheSize).toEqual(Infinity);
+      expect(Config.ResourcesConfig.maxCacheBytes).toEqual(Infinity);
       expect(Config.ResourcesConfig.log).toEqual(noOp);
       expect(Config.ResourcesConfig.prefilter).toEqual(noOp);
       expect(Config.ResourcesConfig.track).toEqual(noOp);
@@ -57,5 +59,51 @@ describe("Config", () => {
         track: noOp,
       });
     });
+
+    it("merges retry settings into the default retry config", () => {
+      var { statuses, backoff } = Config.ResourcesConfig.retry;
+
+      expect(Config.ResourcesConfig.retry.count).toEqual(0);
+      Config.ResourcesConfig.set({ retry: { count: 3 } });
+
+      expect(Config.ResourcesConfig.retry).toEqual({ count: 3, statuses, backoff });
+      Config.ResourcesConfig.set({ retry: { count: 0 } });
+    });
+  });
+
+  describe("default retry config", () => {
+    const { statuses, backoff } = Config.ResourcesConfig.retry;
+
+    it("retries network errors, 429s, and 5xxs", () => {
+      expect(statuses(undefined)).toBe(true);
+      expect(statuses(429)).toBe(true);
+      expect(statuses(500)).toBe(true);
+      expect(statuses(503)).toBe(true);
+      expect(statuses(400)).toBe(false);
+      expect(statuses(404)).toBe(false);
+    });
+
+    it("backs off exponentially", () => {
+      expect(backoff(1)).toEqual(1000);
+      expect(backoff(2)).toEqual(2000);
+      expect(backoff(3)).toEqual(4000);
+      expect(backoff(10)).toEqual(30000);
+    });
+
+    it("respects a Retry-After header", () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date("2024-01-01T00:00:00Z"));
+
+      expect(backoff(1, new Response(null, { headers: { "Retry-After": "5" } }))).toEqual(5000);
+      expect(
+        backoff(
+          1,
+          new Response(null, { headers: { "Retry-After": "Mon, 01 Jan 2024 00:00:10 GMT" } }),
+        ),
+      ).toEqual(10000);
+      expect(backoff(2, new Response(null, { headers: { "Retry-After": "soon" } }))).toEqual(2000);
+
+      vi.useRealTimers();
+    });
   });
 });
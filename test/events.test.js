@@ -2,6 +2,7 @@ import * as sync from "../lib/sync";
 import Collection from "../lib/collection";
 import Model from "../lib/model";
 import CanonicalModel from "../lib/canonical-model";
+import { transaction } from "../lib/events";
 import { vi } from "vitest";
 import { canonicalModelCache } from "../lib/canonical-model-cache";
 
@@ -165,7 +166,7 @@ describe("Events", () => {
 
       expect(collectionCallback).not.toHaveBeenCalled();
       await request;
-      // reset is silent here, once for sync
+      // reset updates are batched, once for sync
       expect(collectionCallback).toHaveBeenCalledTimes(1);
 
       collectionCallback.mockClear();
@@ -253,11 +254,263 @@ describe("Events", () => {
     });
   });
 
+  describe("named events", () => {
+    var listener = {},
+      collection,
+      events;
+
+    const listen = (name) =>
+      collection.on(name, (...args) => events.push([name, ...args]), listener);
+
+    beforeEach(() => {
+      events = [];
+      collection = new Collection([{ id: "one" }, { id: "two" }, { id: "three" }]);
+      ["add", "remove", "sort", "reset", "change"].forEach(listen);
+    });
+
+    it("are triggered on a model with its changed attributes", () => {
+      var model = new Model({ id: "one", name: "noah" }),
+        changes = [];
+
+      model.on("change", (changed) => changes.push(changed), listener);
+      model.set({ id: "one", name: "zorah", city: "sf" });
+      model.set({ name: "zorah" });
+      model.set({ name: "alex" }, { silent: true });
+
+      expect(changes).toEqual([{ name: "zorah", city: "sf" }]);
+    });
+
+    it("are triggered on a collection when models are added, with their indices", () => {
+      collection.add([{ id: "four" }, { id: "zero" }], { at: 0 });
+
+      expect(events).toEqual([["add", [collection.at(0), collection.at(1)], [0, 1]]]);
+      expect(collection.pluck("id")).toEqual(["four", "zero", "one", "two", "three"]);
+    });
+
+    it("are triggered on a collection when models are removed, with their indices", () => {
+      var [one, two, three] = collection.models;
+
+      collection.remove([two, three]);
+      expect(events).toEqual([["remove", [two, three], [1, 1]]]);
+
+      events = [];
+      collection.set([{ id: "four" }], { remove: true });
+      expect(events).toEqual([
+        ["remove", [one], [0]],
+        ["add", [collection.get("four")], [0]],
+      ]);
+    });
+
+    it("are triggered on a collection when its models are reordered", () => {
+      collection.set([{ id: "three" }, { id: "one" }, { id: "two" }], { remove: true });
+      expect(events).toEqual([["sort"]]);
+
+      events = [];
+      collection.comparator = "id";
+      collection.sort();
+      expect(events).toEqual([["sort"]]);
+
+      // already sorted
+      events = [];
+      collection.add({ id: "four" });
+      expect(events).toEqual([["add", [collection.get("four")], [0]]]);
+    });
+
+    it("are triggered on a collection when it is reset", () => {
+      var previousModels = collection.models;
+
+      collection.reset([{ id: "four" }]);
+      expect(events).toEqual([["reset", collection.models, previousModels]]);
+    });
+
+    it("are triggered on a collection when one of its models changes", () => {
+      var model = collection.at(0);
+
+      model.set({ name: "noah" });
+      collection.set({ id: "two", name: "zorah" });
+      expect(events).toEqual([
+        ["change", model, { name: "noah" }],
+        ["change", collection.get("two"), { name: "zorah" }],
+      ]);
+
+      // no longer listened to once removed
+      events = [];
+      collection.remove(model);
+      model.set({ name: "alex" });
+      expect(events).toEqual([["remove", [model], [0]]]);
+    });
+
+    it("are triggered while updates are batched during a fetch", async () => {
+      var callback = vi.fn();
+
+      collection.onUpdate(callback, listener);
+      vi.spyOn(sync, "default").mockResolvedValue([
+        [{ id: "three" }, { id: "two", name: "zorah" }, { id: "four" }],
+      ]);
+      await collection.fetch({ smartMerge: true });
+      sync.default.mockRestore();
+
+      expect(events.map(([name]) => name)).toEqual(["change", "remove", "add", "sort"]);
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("are no longer triggered once removed", () => {
+      collection.off(listener, "add");
+      collection.add({ id: "four" });
+      collection.remove("four");
+      expect(events).toEqual([["remove", [expect.any(Model)], [3]]]);
+
+      events = [];
+      collection.off(listener);
+      collection.add({ id: "four" });
+      collection.remove("four");
+      expect(events).toEqual([]);
+    });
+  });
+
   it("gracefully removes listeners even if there are none", () => {
     var model = new Model();
 
     expect(() => model.offUpdate(model)).not.toThrow();
   });
+  describe("transaction", () => {
+    var callback = vi.fn(),
+      collectionCallback = vi.fn(),
+      model,
+      collection;
+
+    beforeEach(() => {
+      collection = new TestCollection([{ id: "noah" }, { id: "zorah" }]);
+      model = collection.get("noah");
+      model.onUpdate(callback, model);
+      collection.onUpdate(collectionCallback, collection);
+    });
+
+    afterEach(() => {
+      callback.mockClear();
+      collectionCallback.mockClear();
+      canonicalModelCache.clear();
+    });
+
+    it("triggers a single update per emitter once the block finishes", () => {
+      var changeListener = vi.fn();
+
+      model.on("change", changeListener, {});
+      transaction(() => {
+        model.set({ name: "Noah" });
+        model.set({ name: "Noah G" });
+        collection.get("zorah").set({ name: "Zorah" });
+        collection.add({ id: "alex" });
+
+        // named events are not held back
+        expect(changeListener).toHaveBeenCalledTimes(2);
+        expect(callback).not.toHaveBeenCalled();
+        expect(collectionCallback).not.toHaveBeenCalled();
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      // even though its models relay their updates to it
+      expect(collectionCallback).toHaveBeenCalledTimes(1);
+    });
+
+    it("still flushes updates triggered by update listeners while flushing", () => {
+      var zorah = collection.get("zorah"),
+        names = [];
+
+      callback.mockImplementation(() => names.push(model.get("name")));
+      // zorah's listener changes noah after noah and the collection have already been updated
+      zorah.onUpdate(() => model.set({ name: "from zorah" }), zorah);
+
+      transaction(() => {
+        collection.add({ id: "alex" });
+        model.set({ name: "first" });
+        zorah.set({ name: "Zorah" });
+      });
+
+      expect(names).toEqual(["first", "from zorah"]);
+      // noah's second update is relayed to the collection, which had already been updated
+      expect(collectionCallback).toHaveBeenCalledTimes(2);
+      callback.mockReset();
+    });
+
+    it("is part of an outer transaction when nested", () => {
+      transaction(() => {
+        transaction(() => model.set({ name: "Noah" }));
+        expect(callback).not.toHaveBeenCalled();
+        model.set({ name: "Noah G" });
+      });
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("still triggers updates if the block throws", () => {
+      expect(() =>
+        transaction(() => {
+          model.set({ name: "Noah" });
+          throw new Error("oops");
+        }),
+      ).toThrow("oops");
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      model.set({ name: "Noah G" });
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    it("batches canonical model updates from a subscribing model", () => {
+      class OtherCanonicalTestModel extends CanonicalModel {}
+
+      const fromSource = (attrs) => attrs;
+
+      class SourceModel extends Model {
+        static subscriptions = [
+          { Model: CanonicalTestModel, toSource: ({ id, name }) => ({ id, name }) },
+          {
+            Model: OtherCanonicalTestModel,
+            toSource: ({ id, name }) => ({ id, initial: name?.[0] }),
+          },
+        ];
+      }
+
+      class TargetModel extends Model {
+        static subscriptions = [
+          { Model: CanonicalTestModel, fromSource },
+          { Model: OtherCanonicalTestModel, fromSource },
+        ];
+      }
+
+      const sourceModel = new SourceModel({ id: "1234" });
+      const targetModel = new TargetModel({ id: "1234" });
+
+      targetModel.onUpdate(callback, targetModel);
+      sourceModel.set({ name: "Zorah" });
+
+      expect(targetModel.toJSON()).toEqual({ id: "1234", name: "Zorah", initial: "Z" });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("keeps every subscribing model's changes when several are set", () => {
+      const fromSource = (attrs) => attrs;
+
+      class SubscribingModel extends Model {
+        static subscriptions = [{ Model: CanonicalTestModel, toSource: fromSource, fromSource }];
+      }
+
+      const modelA = new SubscribingModel({ id: 1, x: 0, y: 0 });
+      const modelB = new SubscribingModel({ id: 1, x: 0, y: 0 });
+
+      modelA.onUpdate(callback, modelA);
+      modelB.onUpdate(callback, modelB);
+
+      transaction(() => {
+        modelA.set({ x: 1 });
+        modelB.set({ y: 2 });
+      });
+
+      expect(modelA.toJSON()).toEqual({ id: 1, x: 1, y: 2 });
+      expect(modelB.toJSON()).toEqual({ id: 1, x: 1, y: 2 });
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+  });
 });
 
 class CanonicalTestModel extends CanonicalModel {}
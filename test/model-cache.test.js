@@ -1,6 +1,7 @@
 import Collection from "../lib/collection";
 import Model from "../lib/model";
 import ModelCache, { invalidate } from "../lib/model-cache";
+import { ResourcesConfig } from "../lib/config";
 import { vi } from "vitest";
 
 const CACHE_WAIT = 150000;
@@ -191,6 +192,323 @@ describe("ModelCache", () => {
     expect(Model.prototype.unsubscribe).toHaveBeenCalledTimes(1);
   });
 
+  describe("tracking fetch times", () => {
+    it("considers a model stale once its staleTime has passed since it was fetched", () => {
+      ModelCache.put("foo", new Model(), {});
+      expect(ModelCache.getFetchTime("foo")).not.toBeDefined();
+      // never fetched, so never stale
+      expect(ModelCache.isStale("foo", 0)).toBe(false);
+
+      ModelCache.markFetched("foo");
+      expect(ModelCache.getFetchTime("foo")).toEqual(Date.now());
+      expect(ModelCache.isStale("foo", 5000)).toBe(false);
+
+      vi.advanceTimersByTime(5000);
+      expect(ModelCache.isStale("foo", 5000)).toBe(true);
+    });
+
+    it("can be passed the time at which a model was fetched", () => {
+      ModelCache.put("foo", new Model(), {});
+      ModelCache.markFetched("foo", Date.now() - 5000);
+
+      expect(ModelCache.isStale("foo", 5000)).toBe(true);
+    });
+
+    it("clears the fetch time when the model is removed from the cache", () => {
+      ModelCache.put("foo", new Model(), {});
+      ModelCache.markFetched("foo");
+      ModelCache.remove("foo");
+
+      expect(ModelCache.getFetchTime("foo")).not.toBeDefined();
+    });
+  });
+
+  describe("polling a resource", () => {
+    const component = {},
+      component2 = {};
+    var refetchSpy;
+
+    beforeEach(() => {
+      refetchSpy = vi.fn(() => Promise.resolve());
+      ModelCache.put("foo", new Model(), component);
+    });
+
+    afterEach(() => {
+      Object.defineProperty(document, "hidden", { value: false, configurable: true });
+    });
+
+    it("refetches it every interval", async () => {
+      ModelCache.poll("foo", 5000, refetchSpy);
+
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(refetchSpy).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1);
+      expect(refetchSpy).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it("does not start unless the resource has components registered", async () => {
+      ModelCache.poll("bar", 5000, refetchSpy);
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).not.toHaveBeenCalled();
+    });
+
+    it("runs only one poll per cache key, with the shortest interval", async () => {
+      var refetchSpy2 = vi.fn(() => Promise.resolve());
+
+      ModelCache.poll("foo", 5000, refetchSpy);
+      ModelCache.poll("foo", 10000, refetchSpy2);
+
+      await vi.advanceTimersByTimeAsync(10000);
+      expect(refetchSpy).toHaveBeenCalledTimes(2);
+      expect(refetchSpy2).not.toHaveBeenCalled();
+
+      ModelCache.poll("foo", 2000, refetchSpy2);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(2);
+      expect(refetchSpy2).toHaveBeenCalledTimes(2);
+    });
+
+    it("stops once the last component is unregistered", async () => {
+      ModelCache.register("foo", component2);
+      ModelCache.poll("foo", 5000, refetchSpy);
+
+      ModelCache.unregister(component);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(1);
+
+      ModelCache.unregister(component2);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("stops when the resource is removed from the cache", async () => {
+      ModelCache.poll("foo", 5000, refetchSpy);
+      ModelCache.remove("foo");
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).not.toHaveBeenCalled();
+    });
+
+    it("pauses while the document is hidden", async () => {
+      ModelCache.poll("foo", 5000, refetchSpy);
+      Object.defineProperty(document, "hidden", { value: true, configurable: true });
+
+      await vi.advanceTimersByTimeAsync(20000);
+      expect(refetchSpy).not.toHaveBeenCalled();
+
+      // refetches immediately when the document becomes visible, and then continues polling
+      Object.defineProperty(document, "hidden", { value: false, configurable: true });
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(refetchSpy).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it("waits for each refetch to complete before scheduling the next", async () => {
+      var resolveRefetch;
+
+      refetchSpy.mockImplementation(() => new Promise((res) => (resolveRefetch = res)));
+      ModelCache.poll("foo", 5000, refetchSpy);
+
+      await vi.advanceTimersByTimeAsync(20000);
+      expect(refetchSpy).toHaveBeenCalledTimes(1);
+
+      resolveRefetch();
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(refetchSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("revalidating a resource on window events", () => {
+    const component = {};
+    var revalidateSpy;
+
+    beforeEach(() => {
+      revalidateSpy = vi.fn(() => Promise.resolve());
+      ModelCache.put("foo", new Model(), component);
+    });
+
+    it("revalidates it when the document becomes visible if 'onFocus' is true", () => {
+      ModelCache.revalidateOn("foo", component, { onFocus: true }, revalidateSpy);
+
+      window.dispatchEvent(new Event("online"));
+      expect(revalidateSpy).not.toHaveBeenCalled();
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("revalidates it when the browser comes back online if 'onReconnect' is true", () => {
+      ModelCache.revalidateOn("foo", component, { onReconnect: true }, revalidateSpy);
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).not.toHaveBeenCalled();
+
+      window.dispatchEvent(new Event("online"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("only revalidates it once it has gone stale if passed a staleTime", () => {
+      ModelCache.markFetched("foo");
+      ModelCache.revalidateOn("foo", component, { onFocus: true, staleTime: 5000 }, revalidateSpy);
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(5000);
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it("stops once the resource no longer has components registered", () => {
+      ModelCache.revalidateOn("bar", component, { onFocus: true }, revalidateSpy);
+      ModelCache.revalidateOn("foo", component, { onFocus: true }, revalidateSpy);
+      ModelCache.unregister(component);
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).not.toHaveBeenCalled();
+    });
+
+    it("keeps each component's options, revalidating once if any of them call for it", () => {
+      const component2 = {};
+
+      ModelCache.register("foo", component2);
+      ModelCache.revalidateOn("foo", component, { onFocus: true }, revalidateSpy);
+      ModelCache.revalidateOn("foo", component2, { onReconnect: true }, revalidateSpy);
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      window.dispatchEvent(new Event("online"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(2);
+
+      ModelCache.unregister(component);
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(2);
+
+      window.dispatchEvent(new Event("online"));
+      expect(revalidateSpy).toHaveBeenCalledTimes(3);
+      ModelCache.unregister(component2);
+    });
+  });
+
+  describe("when the cache grows past its limits", () => {
+    const component = {};
+
+    afterEach(() => {
+      ResourcesConfig.set({ maxCacheSize: Infinity, maxCacheBytes: Infinity });
+    });
+
+    it("evicts the least-recently-used resources without components", () => {
+      var fooModel = new Model();
+
+      ResourcesConfig.set({ maxCacheSize: 3 });
+      ModelCache.put("foo", fooModel);
+      ModelCache.put("bar", new Model());
+      ModelCache.put("baz", new Model(), component);
+      // accessing a resource makes it the most recently used
+      ModelCache.get("foo");
+      ModelCache.put("quux", new Model());
+
+      expect(ModelCache.keys()).toEqual(["foo", "baz", "quux"]);
+
+      ModelCache.put("corge", new Model());
+      expect(ModelCache.keys()).toEqual(["baz", "quux", "corge"]);
+      expect(fooModel.unsubscribe).toHaveBeenCalled();
+    });
+
+    it("never evicts resources that have components registered", () => {
+      ResourcesConfig.set({ maxCacheSize: 1 });
+      ModelCache.put("foo", new Model(), component);
+      ModelCache.put("bar", new Model(), component);
+
+      expect(ModelCache.keys()).toEqual(["foo", "bar"]);
+
+      // evicted as soon as they no longer have components
+      ModelCache.unregister(component, "foo");
+      expect(ModelCache.keys()).toEqual(["bar"]);
+    });
+
+    it("evicts resources once their serialized size exceeds 'maxCacheBytes'", () => {
+      // each of these serializes to 24 characters
+      ResourcesConfig.set({ maxCacheBytes: 50 });
+      ModelCache.put("foo", new Model({ name: "aaaaaaaaaaaaa" }));
+      ModelCache.put("bar", new Model({ name: "bbbbbbbbbbbbb" }));
+      expect(ModelCache.keys()).toEqual(["foo", "bar"]);
+
+      ModelCache.put("baz", new Model({ name: "ccccccccccccc" }));
+      expect(ModelCache.keys()).toEqual(["bar", "baz"]);
+    });
+
+    it("does not evict the resource being put, even without a component", () => {
+      ResourcesConfig.set({ maxCacheSize: 1 });
+      ModelCache.put("foo", new Model(), component);
+      // ie, a prefetched resource
+      ModelCache.put("bar", new Model());
+      ModelCache.markFetched("bar");
+
+      expect(ModelCache.keys()).toEqual(["foo", "bar"]);
+      expect(ModelCache.getFetchTime("bar")).toBeDefined();
+    });
+
+    it("only measures a resource again once it has been put or fetched", () => {
+      var fooModel = new Model({ name: "aaaaaaaaaaaaa" });
+
+      vi.spyOn(fooModel, "toJSON");
+      ResourcesConfig.set({ maxCacheBytes: 1000 });
+      ModelCache.put("foo", fooModel, component);
+      ModelCache.put("bar", new Model(), component);
+      ModelCache.unregister(component, "bar");
+      expect(fooModel.toJSON).toHaveBeenCalledTimes(1);
+
+      ModelCache.markFetched("foo");
+      ModelCache.put("baz", new Model());
+      expect(fooModel.toJSON).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("tags cached resources and finds them by tag", () => {
+    ModelCache.put("foo", new Model(), {});
+    ModelCache.put("bar", new Model(), {});
+    ModelCache.tag("foo", ["account:42"]);
+    ModelCache.tag("foo", ["account"]);
+    ModelCache.tag("bar", ["account"]);
+    // not cached, so it can't be tagged
+    ModelCache.tag("baz", ["account:42"]);
+
+    expect(ModelCache.keysWithTags(["account:42"])).toEqual(["foo"]);
+    expect(ModelCache.keysWithTags(["account", "account:42"])).toEqual(["foo", "bar"]);
+    expect(ModelCache.keysWithTags(["account:7"])).toEqual([]);
+
+    // tags are removed along with their resource
+    ModelCache.remove("foo");
+    ModelCache.put("foo", new Model(), {});
+    expect(ModelCache.keysWithTags(["account:42"])).toEqual([]);
+  });
+
+  it("notifies change listeners when models are added, fetched, or removed", () => {
+    var changeSpy = vi.fn(),
+      removeListener = ModelCache.onChange(changeSpy);
+
+    ModelCache.put("foo", new Model(), {});
+    ModelCache.markFetched("foo");
+    expect(ModelCache.keys()).toEqual(["foo"]);
+    ModelCache.remove("foo");
+    // nothing to remove
+    ModelCache.remove("foo");
+    expect(changeSpy.mock.calls).toEqual([
+      ["foo", false],
+      ["foo", false],
+      ["foo", false],
+    ]);
+
+    removeListener();
+    ModelCache.put("bar", new Model(), {});
+    expect(changeSpy).toHaveBeenCalledTimes(3);
+  });
+
   it("when calling 'removeAllWithModel' removes all models of a specific key", () => {
     const cacheKeys = [
       "user~userId=zorah",
@@ -237,6 +555,10 @@ describe("ModelCache", () => {
 });
 
 describe("invalidate", () => {
+  afterEach(() => {
+    ModelCache.__removeAll__();
+  });
+
   it("removes models from the cache immediately", () => {
     ModelCache.put("foo", new Model(), {});
     ModelCache.put("bar", new Model(), {});
@@ -269,4 +591,70 @@ describe("invalidate", () => {
     expect(ModelCache.get("foo")).not.toBeDefined();
     expect(ModelCache.get("bar")).not.toBeDefined();
   });
+
+  it("refetches models still in use instead of removing them with the 'refetch' option", () => {
+    var revalidateSpy = vi.fn(() => Promise.resolve()),
+      component = {};
+
+    ModelCache.put("foo~id=1", new Model(), component);
+    ModelCache.put("foo~id=2", new Model(), {});
+    ModelCache.put("bar", new Model(), component);
+    // only resources with mounted components register a revalidation
+    ModelCache.revalidateOn("foo~id=1", component, {}, revalidateSpy);
+    ModelCache.revalidateOn("bar", component, {}, revalidateSpy);
+
+    invalidate("foo", { refetch: true });
+    expect(revalidateSpy).toHaveBeenCalledTimes(1);
+    // requests already in flight may not reflect whatever prompted the invalidation
+    expect(revalidateSpy).toHaveBeenCalledWith({ fresh: true });
+    expect(ModelCache.get("foo~id=1")).toBeDefined();
+    expect(ModelCache.get("foo~id=2")).not.toBeDefined();
+    expect(ModelCache.get("bar")).toBeDefined();
+
+    invalidate(["foo"], { except: true, refetch: true });
+    expect(revalidateSpy).toHaveBeenCalledTimes(2);
+    expect(ModelCache.get("bar")).toBeDefined();
+  });
+
+  describe("with tags", () => {
+    const component = {};
+
+    beforeEach(() => {
+      ModelCache.put("user~accountId=42", new Model(), component);
+      ModelCache.put("decisions~accountId=42", new Model(), {});
+      ModelCache.put("decisions~accountId=7", new Model(), {});
+      ModelCache.tag("user~accountId=42", ["account:42"]);
+      ModelCache.tag("decisions~accountId=42", ["account:42", "decisions"]);
+      ModelCache.tag("decisions~accountId=7", ["account:7", "decisions"]);
+    });
+
+    it("removes models with any of the tags, regardless of resource key", () => {
+      invalidate({ tags: ["account:42"] });
+      expect(ModelCache.get("user~accountId=42")).not.toBeDefined();
+      expect(ModelCache.get("decisions~accountId=42")).not.toBeDefined();
+      expect(ModelCache.get("decisions~accountId=7")).toBeDefined();
+
+      invalidate({ tags: ["account:42", "decisions"] });
+      expect(ModelCache.get("decisions~accountId=7")).not.toBeDefined();
+    });
+
+    it("removes models except those with the tags when the 'except' option is true", () => {
+      invalidate({ tags: ["account:7"] }, { except: true });
+      expect(ModelCache.get("user~accountId=42")).not.toBeDefined();
+      expect(ModelCache.get("decisions~accountId=42")).not.toBeDefined();
+      expect(ModelCache.get("decisions~accountId=7")).toBeDefined();
+    });
+
+    it("refetches models still in use instead of removing them with the 'refetch' option", () => {
+      var revalidateSpy = vi.fn(() => Promise.resolve());
+
+      // only resources with mounted components register a revalidation
+      ModelCache.revalidateOn("user~accountId=42", component, {}, revalidateSpy);
+      invalidate({ tags: ["account:42"] }, { refetch: true });
+
+      expect(revalidateSpy).toHaveBeenCalledTimes(1);
+      expect(ModelCache.get("user~accountId=42")).toBeDefined();
+      expect(ModelCache.get("decisions~accountId=42")).not.toBeDefined();
+    });
+  });
 });
@@ -3,7 +3,8 @@ import CanonicalModel from "../lib/canonical-model";
 import { canonicalModelCache } from "../lib/canonical-model-cache";
 
 import Collection from "../lib/collection";
-import Model from "../lib/model";
+import Model, { ConflictError, ValidationError } from "../lib/model";
+import { noOp } from "../lib/utils";
 import { vi } from "vitest";
 
 describe("Model", () => {
@@ -196,6 +197,529 @@ describe("Model", () => {
     });
   });
 
+  describe("change tracking", () => {
+    beforeEach(() => {
+      model = new Model({ id: "noah", name: "Noah", city: "sf" });
+    });
+
+    it("starts out with no changes", () => {
+      expect(model.hasChanged()).toBe(false);
+      expect(model.changedAttributes()).toEqual({});
+      expect(model.isDirty()).toBe(false);
+    });
+
+    it("records the changes and previous attributes of the most recent set", () => {
+      model.set({ name: "Zorah", city: "sf" });
+
+      expect(model.changedAttributes()).toEqual({ name: "Zorah" });
+      expect(model.hasChanged()).toBe(true);
+      expect(model.hasChanged("name")).toBe(true);
+      expect(model.hasChanged("city")).toBe(false);
+      expect(model.previous("name")).toEqual("Noah");
+      expect(model.previousAttributes()).toEqual({ id: "noah", name: "Noah", city: "sf" });
+
+      // silent sets count, too
+      model.unset("city", { silent: true });
+      expect(model.changedAttributes()).toEqual({ city: undefined });
+      expect(model.previous("name")).toEqual("Zorah");
+
+      model.set({ name: "Zorah" });
+      expect(model.hasChanged()).toBe(false);
+    });
+
+    it("tracks dirty attributes until the model is fetched or saved", async () => {
+      model.set({ name: "Zorah" });
+      model.set({ city: "nyc" });
+      model.unset("id");
+
+      expect(model.dirtyAttributes()).toEqual({ id: undefined, name: "Zorah", city: "nyc" });
+      expect(model.isDirty()).toBe(true);
+      expect(model.isDirty("city")).toBe(true);
+
+      // setting a value back to its synced value makes it clean again
+      model.set({ city: "sf", id: "noah" });
+      expect(model.dirtyAttributes()).toEqual({ name: "Zorah" });
+      expect(model.isDirty("city")).toBe(false);
+
+      sync.default.mockResolvedValue([{}, {}]);
+      await model.save();
+      expect(model.isDirty()).toBe(false);
+
+      model.set({ name: "Alex" });
+      sync.default.mockResolvedValue([{ name: "Noah" }, {}]);
+      await model.fetch();
+      expect(model.isDirty()).toBe(false);
+    });
+
+    it("sends only dirty attributes for a PATCH save without attributes", async () => {
+      sync.default.mockResolvedValue([{}, {}]);
+      model.set({ name: "Zorah" });
+      await model.save(null, { patch: true });
+
+      expect(sync.default).toHaveBeenCalledWith(model, {
+        parse: true,
+        patch: true,
+        method: "PATCH",
+        attrs: { name: "Zorah" },
+      });
+      expect(model.isDirty()).toBe(false);
+    });
+
+    it("keeps dirty attributes if a save fails", async () => {
+      sync.default.mockRejectedValue({ status: 500 });
+      model.set({ name: "Zorah" });
+      await model.save({ city: "nyc" }).catch(() => {});
+
+      expect(model.dirtyAttributes()).toEqual({ name: "Zorah" });
+    });
+  });
+
+  describe("validation", () => {
+    class ValidatedModel extends Model {
+      validate(attrs) {
+        return {
+          ...(!attrs.title ? { title: "Title is required" } : {}),
+          ...(attrs.count < 0 ? { count: "Count must be positive" } : {}),
+        };
+      }
+    }
+
+    beforeEach(() => {
+      model = new ValidatedModel({ id: "noah", title: "Todo", count: 1 });
+      model.onUpdate(callback);
+    });
+
+    it("rejects a save with a ValidationError without making a request", async () => {
+      var error;
+
+      await model.save({ title: "", count: -1 }).catch((err) => (error = err));
+
+      expect(sync.default).not.toHaveBeenCalled();
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual({ title: "Title is required", count: "Count must be positive" });
+      expect(model.validationError).toEqual(error.errors);
+      // nothing was set, but components are updated to show the errors
+      expect(model.toJSON()).toEqual({ id: "noah", title: "Todo", count: 1 });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("clears the validation error once the attributes are valid", async () => {
+      sync.default.mockResolvedValue([{}, {}]);
+      await model.save({ title: "" }).catch(() => {});
+      await model.save({ title: "Todo" });
+
+      expect(sync.default).toHaveBeenCalledTimes(1);
+      expect(model.validationError).toBe(null);
+    });
+
+    it("skips validation on save if `validate` is false", async () => {
+      await model.save({ title: "" }, { validate: false });
+
+      expect(sync.default).toHaveBeenCalled();
+      expect(model.validationError).not.toBeDefined();
+    });
+
+    it("only validates on set with the `validate` option", () => {
+      var invalidListener = vi.fn();
+
+      model.on("invalid", invalidListener, {});
+      model.set({ count: -1 });
+      expect(model.get("count")).toEqual(-1);
+      expect(invalidListener).not.toHaveBeenCalled();
+
+      model.set({ count: 2, title: "" }, { validate: true });
+      expect(model.toJSON()).toEqual({ id: "noah", title: "Todo", count: -1 });
+      // the attributes are validated in combination with the current ones
+      expect(invalidListener).toHaveBeenCalledWith({ title: "Title is required" });
+
+      model.unset("title", { validate: true });
+      expect(model.get("title")).toEqual("Todo");
+
+      model.set({ count: 2 }, { validate: true });
+      expect(model.get("count")).toEqual(2);
+      expect(model.validationError).toBe(null);
+    });
+
+    it("validates the current attributes with isValid", () => {
+      expect(model.isValid()).toBe(true);
+
+      model.set({ title: "" });
+      expect(model.isValid()).toBe(false);
+      expect(model.validationError).toEqual({ title: "Title is required" });
+    });
+  });
+
+  describe("schema", () => {
+    class AuthorModel extends Model {}
+
+    class TagsCollection extends Collection {}
+
+    class TodoModel extends Model {
+      static schema = {
+        title: "string",
+        count: "number",
+        done: "boolean",
+        createdAt: "date",
+        status: { enum: [1, 2, 3] },
+        author: AuthorModel,
+        tags: TagsCollection,
+        reminders: ["date"],
+      };
+    }
+
+    const json = {
+      id: "noah",
+      title: 1,
+      count: "4",
+      done: "false",
+      createdAt: "2024-01-01T00:00:00.000Z",
+      status: "2",
+      author: { id: "zorah" },
+      tags: [{ id: "urgent" }],
+      reminders: ["2024-01-02T00:00:00.000Z"],
+    };
+
+    it("coerces attributes into their types when they are set", () => {
+      model = new TodoModel(json);
+
+      expect(model.get("id")).toEqual("noah");
+      expect(model.get("title")).toEqual("1");
+      expect(model.get("count")).toEqual(4);
+      expect(model.get("done")).toBe(false);
+      expect(model.get("createdAt")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+      expect(model.get("status")).toEqual(2);
+      expect(model.get("author")).toBeInstanceOf(AuthorModel);
+      expect(model.get("author").id).toEqual("zorah");
+      expect(model.get("tags")).toBeInstanceOf(TagsCollection);
+      expect(model.get("tags").get("urgent")).toBeDefined();
+      expect(model.get("reminders")).toEqual([new Date("2024-01-02T00:00:00.000Z")]);
+
+      model.set({ count: "5", createdAt: 0, author: null });
+      expect(model.get("count")).toEqual(5);
+      expect(model.get("createdAt")).toEqual(new Date(0));
+      expect(model.get("author")).toBe(null);
+    });
+
+    it("sets up Model and Collection fields as relations", () => {
+      var author, tags;
+
+      model = new TodoModel(json);
+      model.onUpdate(callback);
+      author = model.get("author");
+      tags = model.get("tags");
+
+      expect(author.parent).toBe(model);
+      expect(tags.parent).toBe(model);
+
+      model.set({ author: { id: "zorah", name: "Zorah" }, tags: [{ id: "later" }] });
+      expect(model.get("author")).toBe(author);
+      expect(author.get("name")).toEqual("Zorah");
+      expect(model.get("tags")).toBe(tags);
+      expect(tags.toJSON()).toEqual([{ id: "later" }]);
+
+      callback.mockClear();
+      author.set({ name: "Zorah G" });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("leaves values that can't be coerced as-is", () => {
+      model = new TodoModel({ ...json, count: "abc", createdAt: "not a date" });
+      model.onUpdate(callback);
+
+      expect(model.get("count")).toEqual("abc");
+      expect(model.get("createdAt")).toEqual("not a date");
+      expect(model.toJSON().createdAt).toEqual("not a date");
+
+      model.set({ count: "abc" });
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("coerces parsed server responses", async () => {
+      sync.default.mockResolvedValue([{ data: json }, {}]);
+      model = new TodoModel({ id: "noah" });
+      model.parse = (response) => response.data;
+      model.url = () => "/todos";
+
+      await model.fetch();
+
+      expect(model.get("count")).toEqual(4);
+      expect(model.get("createdAt")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+    });
+
+    it("serializes attributes back in toJSON", () => {
+      model = new TodoModel(json);
+
+      expect(model.toJSON()).toEqual({ ...json, title: "1", count: 4, done: false, status: 2 });
+      // and they round-trip
+      expect(new TodoModel(model.toJSON()).toJSON()).toEqual(model.toJSON());
+    });
+
+    it("only considers attributes changed if their values change", () => {
+      model = new TodoModel(json);
+      model.onUpdate(callback);
+
+      model.set({ createdAt: "2024-01-01T00:00:00.000Z", author: { id: "zorah" } });
+      expect(callback).not.toHaveBeenCalled();
+      expect(model.isDirty()).toBe(false);
+
+      model.set({ createdAt: "2024-02-01T00:00:00.000Z" });
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(model.changedAttributes()).toEqual({
+        createdAt: new Date("2024-02-01T00:00:00.000Z"),
+      });
+      expect(model.previous("createdAt")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+      expect(model.dirtyAttributes()).toEqual({
+        createdAt: new Date("2024-02-01T00:00:00.000Z"),
+      });
+    });
+
+    it("keeps attributes coerced when a failed save is rolled back", async () => {
+      model = new TodoModel(json);
+      model.url = () => "/todos";
+      sync.default.mockRejectedValue({ status: 500 });
+
+      await model.save({ createdAt: 0 }).catch(noOp);
+      expect(model.get("createdAt")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+
+      await model.save({ createdAt: 0 }, { wait: true }).catch(noOp);
+      expect(model.get("createdAt")).toEqual(new Date("2024-01-01T00:00:00.000Z"));
+      expect(model.get("author")).toBeInstanceOf(AuthorModel);
+    });
+  });
+
+  describe("relations", () => {
+    class CustomerModel extends Model {}
+
+    class ItemModel extends Model {}
+
+    class OrderModel extends Model {
+      static relations = {
+        customer: { type: "hasOne", Model: CustomerModel },
+        items: { type: "hasMany", Model: ItemModel },
+        notes: { type: "hasMany", path: "order-notes" },
+      };
+
+      url() {
+        return `/orders/${this.id}`;
+      }
+    }
+
+    const json = {
+      id: "noah",
+      customer: { id: "zorah", name: "Zorah" },
+      items: [{ id: "first" }, { id: "second" }],
+    };
+
+    beforeEach(() => {
+      model = new OrderModel(json);
+      model.onUpdate(callback);
+    });
+
+    it("turns nested data into child models and collections", () => {
+      expect(model.get("customer")).toBeInstanceOf(CustomerModel);
+      expect(model.get("customer").get("name")).toEqual("Zorah");
+      expect(model.get("customer").parent).toEqual(model);
+      expect(model.get("items")).toBeInstanceOf(Collection);
+      expect(model.get("items").at(0)).toBeInstanceOf(ItemModel);
+      expect(model.get("items").parent).toEqual(model);
+    });
+
+    it("updates existing children in place", () => {
+      var customer = model.get("customer"),
+        items = model.get("items");
+
+      model.set({ customer: { id: "zorah", name: "Zorah G" }, items: [{ id: "third" }] });
+
+      expect(model.get("customer")).toEqual(customer);
+      expect(customer.get("name")).toEqual("Zorah G");
+      expect(model.get("items")).toEqual(items);
+      expect(items.toJSON()).toEqual([{ id: "third" }]);
+    });
+
+    it("bubbles child updates up to the parent", () => {
+      var customer = model.get("customer"),
+        items = model.get("items");
+
+      customer.set({ name: "Zorah G" });
+      model.get("items").at(0).set({ name: "Lamp" });
+      expect(callback).toHaveBeenCalledTimes(2);
+
+      model.set({ customer: new CustomerModel({ id: "alex" }) });
+      callback.mockClear();
+      // the replaced child is no longer linked
+      customer.set({ name: "Zorah" });
+      expect(customer.parent).not.toBeDefined();
+      expect(callback).not.toHaveBeenCalled();
+
+      model.unset("items");
+      callback.mockClear();
+      items.at(0).set({ name: "Lamp" });
+      expect(model.get("items")).not.toBeDefined();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it("marks a relation dirty when its children are edited in place", async () => {
+      model.get("customer").set({ name: "Zorah G" });
+      model.get("items").at(0).set({ quantity: 2 });
+
+      expect(model.isDirty()).toBe(true);
+      expect(model.isDirty("customer")).toBe(true);
+      expect(model.isDirty("notes")).toBe(false);
+      expect(model.dirtyAttributes()).toEqual({
+        customer: model.get("customer"),
+        items: model.get("items"),
+      });
+
+      sync.default.mockResolvedValue([{}, {}]);
+      await model.save(null, { patch: true });
+      expect(sync.default.mock.calls[0][1].attrs).toEqual({
+        customer: { id: "zorah", name: "Zorah G" },
+        items: [{ id: "first", quantity: 2 }, { id: "second" }],
+      });
+      expect(model.isDirty()).toBe(false);
+    });
+
+    it("restores children in place when a save fails", async () => {
+      var customer = model.get("customer"),
+        items = model.get("items");
+
+      sync.default.mockRejectedValue({ status: 500 });
+      await model
+        .save({ customer: { id: "zorah", name: "Zorah G" }, items: [{ id: "third" }], note: "Hi" })
+        .catch(noOp);
+
+      expect(model.get("customer")).toBe(customer);
+      expect(model.get("items")).toBe(items);
+      expect(customer.parent).toBe(model);
+      expect(items.parent).toBe(model);
+      expect(model.toJSON()).toEqual(json);
+
+      callback.mockClear();
+      await model.save({ items: [{ id: "third" }] }, { wait: true }).catch(noOp);
+      expect(model.get("items")).toBe(items);
+      expect(model.toJSON()).toEqual(json);
+
+      // and they are still linked
+      items.at(0).set({ name: "Lamp" });
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it("serializes children in toJSON", () => {
+      expect(model.toJSON()).toEqual(json);
+      expect(JSON.stringify(model)).toEqual(JSON.stringify(json));
+    });
+
+    it("nests children without a url under the parent's url", async () => {
+      model.set({ notes: [] });
+
+      expect(model.get("customer").url()).toEqual("/orders/noah/customer");
+      expect(model.get("items").at(0).url()).toEqual("/orders/noah/items/first");
+
+      await model.get("items").create({ name: "Lamp" });
+      await model.get("notes").create({ text: "Fragile" });
+      expect(sync.default.mock.calls[0][0].url()).toEqual("/orders/noah/items");
+      expect(sync.default.mock.calls[1][0].url()).toEqual("/orders/noah/order-notes");
+    });
+  });
+
+  describe("history", () => {
+    class EditorModel extends Model {
+      static history = true;
+
+      url() {
+        return "/documents/noah";
+      }
+    }
+
+    beforeEach(() => {
+      model = new EditorModel({ id: "noah", title: "Draft" });
+      model.onUpdate(callback);
+    });
+
+    it("undoes and redoes sets and unsets", () => {
+      expect(model.canUndo()).toBe(false);
+
+      model.set({ title: "Final", body: "Hello" });
+      model.unset("title");
+      expect(model.canUndo()).toBe(true);
+
+      model.undo();
+      expect(model.toJSON()).toEqual({ id: "noah", title: "Final", body: "Hello" });
+      model.undo();
+      expect(model.toJSON()).toEqual({ id: "noah", title: "Draft" });
+      expect(model.canUndo()).toBe(false);
+      expect(model.canRedo()).toBe(true);
+      // each step updates components just once
+      expect(callback).toHaveBeenCalledTimes(4);
+
+      model.redo().redo();
+      expect(model.toJSON()).toEqual({ id: "noah", body: "Hello" });
+      expect(model.canRedo()).toBe(false);
+
+      // a new change can't be redone past
+      model.undo().set({ title: "Other" });
+      expect(model.canRedo()).toBe(false);
+    });
+
+    it("groups changes into a single step", () => {
+      model.groupHistory(() => {
+        model.set({ title: "Final" });
+        model.set({ body: "Hello" });
+      });
+
+      model.undo();
+      expect(model.toJSON()).toEqual({ id: "noah", title: "Draft" });
+      expect(model.canUndo()).toBe(false);
+    });
+
+    it("only keeps as many steps as its depth", () => {
+      class ShallowModel extends Model {
+        static history = { depth: 2 };
+      }
+
+      model = new ShallowModel({ count: 0 });
+      [1, 2, 3].forEach((count) => model.set({ count }));
+
+      model.undo().undo().undo();
+      expect(model.get("count")).toEqual(1);
+    });
+
+    it("does not record changes from server requests or subscriptions", async () => {
+      sync.default.mockResolvedValue([{ title: "From server", updated: true }, {}]);
+      await model.fetch();
+      await model.save({ title: "Saved" });
+      model.set({ title: "From subscription" }, { source: "subscription" });
+      model.set({ title: "Untracked" }, { history: false });
+
+      expect(model.canUndo()).toBe(false);
+    });
+
+    it("does not record the server's version when resolving a conflict", async () => {
+      class VersionedEditorModel extends EditorModel {
+        static optimisticConcurrency = true;
+        static versionAttribute = "version";
+        static resolveConflict = (local, remote) => ({ ...remote, title: local.title });
+      }
+
+      model = new VersionedEditorModel({ id: "noah", version: 1, title: "Draft" });
+      sync.default
+        .mockRejectedValueOnce({ status: 412, json: { id: "noah", version: 2, title: "Other" } })
+        .mockResolvedValueOnce([{ id: "noah", version: 3, title: "Final" }, {}]);
+      await model.save({ title: "Final" });
+
+      expect(model.toJSON()).toEqual({ id: "noah", version: 3, title: "Final" });
+      expect(model.canUndo()).toBe(false);
+    });
+
+    it("is not recorded for models without history", () => {
+      model = new Model({ title: "Draft" });
+      model.set({ title: "Final" });
+
+      expect(model.canUndo()).toBe(false);
+      expect(model.undo().get("title")).toEqual("Final");
+    });
+  });
+
   describe("fetch", () => {
     var response = {};
 
@@ -348,6 +872,162 @@ describe("Model", () => {
         expect(model.toJSON()).toEqual({ one: "one" });
       }
     });
+
+    describe("with optimistic concurrency", () => {
+      class VersionedModel extends Model {
+        static optimisticConcurrency = true;
+        static versionAttribute = "version";
+
+        url() {
+          return "/records/1";
+        }
+      }
+
+      class ETagModel extends VersionedModel {
+        static versionAttribute = undefined;
+      }
+
+      const conflict = (json = {}) => ({ status: 412, json, headers: new Headers() });
+
+      beforeEach(() => {
+        model = new VersionedModel({ id: 1, version: 3, title: "Hamlet", author: "Bill" });
+      });
+
+      it("sends an If-Match header with the model's version", async () => {
+        sync.default.mockResolvedValue([{ id: 1, version: 4, title: "Macbeth" }, response]);
+        await model.save({ title: "Macbeth" });
+
+        expect(sync.default.mock.calls[0][1].headers).toEqual({ "If-Match": '"3"' });
+
+        // or its ETag
+        model = new ETagModel({ id: 1 });
+        model.validators = { url: "/records/1", params: {}, etag: '"abc"', lastModified: null };
+        sync.default.mockResolvedValue([
+          { id: 1 },
+          new Response(null, { headers: { ETag: '"def"' } }),
+        ]);
+        await model.save({ title: "Macbeth" });
+
+        expect(sync.default.mock.calls[1][1].headers).toEqual({ "If-Match": '"abc"' });
+        expect(model.validators.etag).toEqual('"def"');
+      });
+
+      it("does not send an If-Match header for new models or those not opted in", async () => {
+        await new VersionedModel({ version: 1 }).save();
+        await new Model({ id: 1, version: 1 }).save();
+
+        expect(sync.default.mock.calls[0][1].headers).not.toBeDefined();
+        expect(sync.default.mock.calls[1][1].headers).not.toBeDefined();
+      });
+
+      it("rejects with a ConflictError that has the server's version", async () => {
+        var error;
+
+        sync.default.mockRejectedValue(
+          conflict({ id: 1, version: 4, title: "Hamlet", author: "Shakespeare" }),
+        );
+
+        await model.save({ title: "Macbeth" }).catch((err) => (error = err));
+
+        expect(error).toBeInstanceOf(ConflictError);
+        expect(error.status).toEqual(412);
+        expect(error.remote).toEqual({ id: 1, version: 4, title: "Hamlet", author: "Shakespeare" });
+        expect(model.toJSON()).toEqual({ id: 1, version: 3, title: "Hamlet", author: "Bill" });
+      });
+
+      it("fetches the server's version if the conflict response doesn't have it", async () => {
+        var error;
+
+        sync.default
+          .mockRejectedValueOnce({ ...conflict(), status: 409 })
+          .mockResolvedValueOnce([{ id: 1, version: 4, title: "Hamlet" }, response]);
+
+        await model.save({ title: "Macbeth" }).catch((err) => (error = err));
+
+        expect(sync.default.mock.calls[1][1]).toEqual({ method: "GET" });
+        expect(error.status).toEqual(409);
+        expect(error.remote).toEqual({ id: 1, version: 4, title: "Hamlet" });
+      });
+
+      it("fetches the server's version if the conflict response isn't a record", async () => {
+        var error;
+
+        sync.default
+          .mockRejectedValueOnce(conflict({ message: "precondition failed" }))
+          .mockResolvedValueOnce([{ id: 1, version: 4, title: "Hamlet" }, response]);
+
+        await model.save({ title: "Macbeth" }).catch((err) => (error = err));
+
+        expect(sync.default.mock.calls[1][1]).toEqual({ method: "GET" });
+        expect(error.remote).toEqual({ id: 1, version: 4, title: "Hamlet" });
+      });
+
+      it("fetches the server's version if the conflict response has no ETag", async () => {
+        var validators;
+
+        model = new ETagModel({ id: 1, title: "Hamlet" });
+        model.validators = { url: "/records/1", params: {}, etag: '"v1"', lastModified: null };
+        ETagModel.resolveConflict = (local, remote) => ({ ...remote, title: local.title });
+        sync.default
+          .mockRejectedValueOnce(conflict({ id: 1, title: "Hamlet", author: "Shak" }))
+          .mockImplementationOnce(() => {
+            // the refetch must not be conditional on our stale ETag
+            validators = model.validators;
+            model.validators = { ...validators, etag: '"v2"' };
+
+            return Promise.resolve([{ id: 1, title: "Hamlet", author: "Shak" }, response]);
+          })
+          .mockResolvedValueOnce([{}, response]);
+
+        await model.save({ title: "Macbeth" });
+        delete ETagModel.resolveConflict;
+
+        expect(sync.default.mock.calls[1][1]).toEqual({ method: "GET" });
+        expect(validators).not.toBeDefined();
+        expect(sync.default.mock.calls[2][1].headers).toEqual({ "If-Match": '"v2"' });
+        expect(model.toJSON()).toEqual({ id: 1, title: "Macbeth", author: "Shak" });
+      });
+
+      it("saves the attributes merged by 'resolveConflict' against the server's version", async () => {
+        var resolveConflict = vi.fn((local, remote) => ({ ...remote, title: local.title }));
+
+        VersionedModel.resolveConflict = resolveConflict;
+        sync.default
+          .mockRejectedValueOnce(conflict({ id: 1, version: 4, title: "Hamlet", author: "Shak" }))
+          .mockResolvedValueOnce([
+            { id: 1, version: 5, title: "Macbeth", author: "Shak" },
+            response,
+          ]);
+
+        await model.save({ title: "Macbeth" });
+        delete VersionedModel.resolveConflict;
+
+        expect(resolveConflict).toHaveBeenCalledWith(
+          { id: 1, version: 3, title: "Macbeth", author: "Bill" },
+          { id: 1, version: 4, title: "Hamlet", author: "Shak" },
+          { id: 1, version: 3, title: "Hamlet", author: "Bill" },
+        );
+        expect(sync.default.mock.calls[1][1].headers).toEqual({ "If-Match": '"4"' });
+        expect(model.toJSON()).toEqual({ id: 1, version: 5, title: "Macbeth", author: "Shak" });
+      });
+
+      it("only retries once, and the 'resolveConflict' option takes precedence", async () => {
+        var error,
+          staticResolveConflict = vi.fn(),
+          resolveConflict = vi.fn((local, remote) => ({ ...remote, title: local.title }));
+
+        VersionedModel.resolveConflict = staticResolveConflict;
+        sync.default.mockRejectedValue(conflict({ id: 1, version: 4, title: "Hamlet" }));
+
+        await model.save({ title: "Macbeth" }, { resolveConflict }).catch((err) => (error = err));
+        delete VersionedModel.resolveConflict;
+
+        expect(staticResolveConflict).not.toHaveBeenCalled();
+        expect(resolveConflict).toHaveBeenCalledTimes(1);
+        expect(sync.default).toHaveBeenCalledTimes(2);
+        expect(error).toBeInstanceOf(ConflictError);
+      });
+    });
   });
 
   describe("destroy", () => {
@@ -0,0 +1,260 @@
+import { DecisionsCollection, UserModel } from "./model-mocks";
+
+import Model from "../lib/model";
+import ModelCache from "../lib/model-cache";
+import persistCache from "../lib/persist";
+import { ResourcesConfig } from "../lib/config";
+import { vi } from "vitest";
+
+const NOW = new Date("2024-01-01T00:00:00Z").getTime();
+const USER_KEY = "user~userId=noah";
+
+describe("persistCache", () => {
+  var adapter, stopPersisting;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    vi.spyOn(ResourcesConfig, "log").mockImplementation(() => {});
+    adapter = createMemoryAdapter();
+  });
+
+  afterEach(() => {
+    stopPersisting?.();
+    stopPersisting = undefined;
+    ModelCache.__removeAll__();
+    ResourcesConfig.log.mockRestore();
+    vi.useRealTimers();
+  });
+
+  describe("on startup", () => {
+    beforeEach(() => {
+      adapter.setItem(
+        "resourcerer-cache",
+        JSON.stringify({
+          buster: "",
+          entries: [
+            {
+              cacheKey: USER_KEY,
+              resourceKey: "user",
+              data: { id: "noah", name: "Noah" },
+              options: { userId: "noah" },
+              fetchTime: NOW - 1000,
+            },
+            {
+              cacheKey: "decisions",
+              resourceKey: "decisions",
+              data: [{ id: "zorah" }, { id: "alex" }],
+              options: {},
+              fetchTime: NOW - 2000,
+            },
+          ],
+        }),
+      );
+    });
+
+    it("restores persisted resources into the cache via the ModelMap", async () => {
+      stopPersisting = await persistCache({ adapter });
+
+      expect(ModelCache.get(USER_KEY)).toBeInstanceOf(UserModel);
+      expect(ModelCache.get(USER_KEY).toJSON()).toEqual({ id: "noah", name: "Noah" });
+      expect(ModelCache.get(USER_KEY).urlOptions).toEqual({ userId: "noah" });
+      expect(ModelCache.getFetchTime(USER_KEY)).toEqual(NOW - 1000);
+
+      expect(ModelCache.get("decisions")).toBeInstanceOf(DecisionsCollection);
+      expect(ModelCache.get("decisions").toJSON()).toEqual([{ id: "zorah" }, { id: "alex" }]);
+      expect(ModelCache.getFetchTime("decisions")).toEqual(NOW - 2000);
+    });
+
+    it("works with an async adapter", async () => {
+      stopPersisting = await persistCache({
+        adapter: {
+          getItem: (key) => Promise.resolve(adapter.getItem(key)),
+          setItem: (key, value) => Promise.resolve(adapter.setItem(key, value)),
+          removeItem: (key) => Promise.resolve(adapter.removeItem(key)),
+        },
+      });
+
+      expect(ModelCache.get(USER_KEY)).toBeInstanceOf(UserModel);
+      expect(ModelCache.get("decisions")).toBeInstanceOf(DecisionsCollection);
+    });
+
+    it("does not overwrite resources that are already cached", async () => {
+      var userModel = new UserModel({ id: "noah" });
+
+      ModelCache.put(USER_KEY, userModel);
+      stopPersisting = await persistCache({ adapter });
+
+      expect(ModelCache.get(USER_KEY)).toEqual(userModel);
+      expect(ModelCache.get("decisions")).toBeInstanceOf(DecisionsCollection);
+    });
+
+    it("throws away the persisted cache if its buster doesn't match", async () => {
+      stopPersisting = await persistCache({ adapter, buster: "v2" });
+
+      expect(adapter.removeItem).toHaveBeenCalledWith("resourcerer-cache");
+      expect(ModelCache.get(USER_KEY)).not.toBeDefined();
+      expect(ModelCache.get("decisions")).not.toBeDefined();
+    });
+
+    it("does not restore resources fetched longer ago than the maxAge", async () => {
+      stopPersisting = await persistCache({ adapter, maxAge: 1500 });
+
+      expect(ModelCache.get(USER_KEY)).toBeDefined();
+      expect(ModelCache.get("decisions")).not.toBeDefined();
+    });
+
+    it("only restores resources in the resourceKeys allowlist", async () => {
+      stopPersisting = await persistCache({ adapter, resourceKeys: ["decisions"] });
+
+      expect(ModelCache.get(USER_KEY)).not.toBeDefined();
+      expect(ModelCache.get("decisions")).toBeDefined();
+    });
+
+    it("logs and overwrites a persisted cache that can't be read", async () => {
+      adapter.setItem("resourcerer-cache", "{not json");
+      stopPersisting = await persistCache({ adapter });
+
+      expect(ResourcesConfig.log).toHaveBeenCalled();
+      expect(getPersistedEntries(adapter)).toEqual([]);
+    });
+
+    it("logs errors thrown synchronously by the adapter", async () => {
+      var error = new Error("SecurityError");
+
+      adapter.getItem.mockImplementation(() => {
+        throw error;
+      });
+      adapter.setItem.mockImplementation(() => {
+        throw error;
+      });
+
+      stopPersisting = await persistCache({ adapter });
+      await vi.advanceTimersByTimeAsync(0);
+      expect(ResourcesConfig.log.mock.calls).toEqual([[error], [error]]);
+
+      // later writes are logged, too
+      ModelCache.put(USER_KEY, new UserModel({ id: "noah" }, { userId: "noah" }));
+      ModelCache.markFetched(USER_KEY);
+      await vi.advanceTimersByTimeAsync(100);
+      expect(ResourcesConfig.log).toHaveBeenCalledTimes(3);
+    });
+
+    it("keeps restored resources persisted after they are evicted from the cache", async () => {
+      stopPersisting = await persistCache({ adapter, maxAge: 60 * 60 * 1000 });
+
+      // after the cache grace period
+      await vi.advanceTimersByTimeAsync(ResourcesConfig.cacheGracePeriod + 100);
+      expect(ModelCache.get(USER_KEY)).not.toBeDefined();
+      expect(getPersistedEntries(adapter).map(({ cacheKey }) => cacheKey)).toEqual([
+        USER_KEY,
+        "decisions",
+      ]);
+
+      // until they expire
+      await vi.advanceTimersByTimeAsync(60 * 60 * 1000 - ResourcesConfig.cacheGracePeriod - 100);
+      ModelCache.put("user~userId=zorah", new UserModel({ id: "zorah" }, { userId: "zorah" }));
+      await vi.advanceTimersByTimeAsync(100);
+      expect(getPersistedEntries(adapter)).toEqual([]);
+    });
+
+    it("no longer persists restored resources once they are removed from the cache", async () => {
+      stopPersisting = await persistCache({ adapter });
+
+      ModelCache.remove(USER_KEY);
+      await vi.advanceTimersByTimeAsync(100);
+      expect(getPersistedEntries(adapter).map(({ cacheKey }) => cacheKey)).toEqual(["decisions"]);
+    });
+  });
+
+  describe("after startup", () => {
+    beforeEach(async () => {
+      stopPersisting = await persistCache({ adapter, buster: "v1", resourceKeys: ["user"] });
+      adapter.setItem.mockClear();
+    });
+
+    it("persists fetched resources every time the cache changes", async () => {
+      ModelCache.put(USER_KEY, new UserModel({ id: "noah" }, { userId: "noah" }));
+      ModelCache.markFetched(USER_KEY);
+      ModelCache.put("user~userId=zorah", new UserModel({ id: "zorah" }, { userId: "zorah" }));
+
+      // changes are batched
+      expect(adapter.setItem).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(100);
+      expect(adapter.setItem).toHaveBeenCalledTimes(1);
+
+      expect(JSON.parse(adapter.getItem("resourcerer-cache")).buster).toEqual("v1");
+      // zorah was never fetched, so it isn't persisted
+      expect(getPersistedEntries(adapter)).toEqual([
+        {
+          cacheKey: USER_KEY,
+          resourceKey: "user",
+          data: { id: "noah" },
+          options: { userId: "noah" },
+          fetchTime: NOW,
+        },
+      ]);
+
+      ModelCache.remove(USER_KEY);
+      await vi.advanceTimersByTimeAsync(100);
+      expect(getPersistedEntries(adapter)).toEqual([]);
+    });
+
+    it("only persists resources in the resourceKeys allowlist", async () => {
+      ModelCache.put("decisions", new DecisionsCollection([{ id: "zorah" }]));
+      ModelCache.markFetched("decisions");
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(getPersistedEntries(adapter)).toEqual([]);
+    });
+
+    it("persists cached models that are updated in place", async () => {
+      var userModel = new UserModel({ id: "noah" }, { userId: "noah" });
+
+      ModelCache.put(USER_KEY, userModel);
+      ModelCache.markFetched(USER_KEY);
+      await vi.advanceTimersByTimeAsync(100);
+
+      userModel.set({ name: "Noah" });
+      await vi.advanceTimersByTimeAsync(100);
+      expect(getPersistedEntries(adapter)[0].data).toEqual({ id: "noah", name: "Noah" });
+    });
+
+    it("stops persisting when the returned function is called", async () => {
+      var userModel = new UserModel({ id: "noah" }, { userId: "noah" });
+
+      ModelCache.put(USER_KEY, userModel);
+      ModelCache.markFetched(USER_KEY);
+      await vi.advanceTimersByTimeAsync(100);
+      adapter.setItem.mockClear();
+
+      stopPersisting();
+      userModel.set({ name: "Noah" });
+      ModelCache.put("user~userId=zorah", new Model());
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(adapter.setItem).not.toHaveBeenCalled();
+    });
+  });
+});
+
+/**
+ * Simple synchronous storage adapter that keeps everything in memory.
+ */
+function createMemoryAdapter() {
+  const store = new Map();
+
+  return {
+    getItem: vi.fn((key) => store.get(key) ?? null),
+    setItem: vi.fn((key, value) => {
+      store.set(key, value);
+    }),
+    removeItem: vi.fn((key) => {
+      store.delete(key);
+    }),
+  };
+}
+
+function getPersistedEntries(adapter) {
+  return JSON.parse(adapter.getItem("resourcerer-cache")).entries;
+}
@@ -1,7 +1,13 @@
-import request, { existsInCache, getFromCache } from "../lib/request";
+import request, {
+  abandon,
+  existsInCache,
+  getFromCache,
+  getRequestFailure,
+} from "../lib/request";
 
 import Model from "../lib/model";
 import ModelCache from "../lib/model-cache";
+import { ResourcesConfig } from "../lib/config";
 import { waitsFor } from "./test-utils";
 import { vi } from "vitest";
 
@@ -123,6 +129,22 @@ describe("Request", () => {
       expect(ModelCache.register.mock.calls.length).toEqual(1);
     });
 
+    it("tags the cached model with its class's tags and the resource's tags", async () => {
+      class TaggedModel extends Model {
+        static tags = ({ path }) => [`account:${path.accountId}`];
+      }
+
+      await request("taggedModel", TaggedModel, {
+        component,
+        path: { accountId: 42 },
+        tags: ["accounts"],
+      });
+
+      expect(ModelCache.keysWithTags(["account:42"])).toEqual(["taggedModel"]);
+      expect(ModelCache.keysWithTags(["accounts"])).toEqual(["taggedModel"]);
+      expect(ModelCache.keysWithTags(["account:7"])).toEqual([]);
+    });
+
     describe("if the 'fetch' option is false", () => {
       it("calls the resolve immediately", async () => {
         var [model] = await request("nofetch", Model, { component, fetch: false });
@@ -252,6 +274,26 @@ describe("Request", () => {
         waitSuccess = false;
         reject = false;
       });
+
+      it("keeps its failure until requested without {suspense: true}", async () => {
+        var failedPromise;
+
+        waitSuccess = true;
+        reject = true;
+        failedPromise = request("suspenseModel", Model, { suspense: true });
+
+        await expect(failedPromise).rejects.toEqual(404);
+        expect(getRequestFailure("suspenseModel")).toEqual({ status: 404 });
+        // suspended re-renders get the failed request
+        expect(request("suspenseModel", Model, { suspense: true })).toBe(failedPromise);
+        expect(getRequestFailure("suspenseModel")).toEqual({ status: 404 });
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+
+        reject = false;
+        await request("suspenseModel", Model, { component });
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(2);
+        expect(getRequestFailure("suspenseModel")).not.toBeDefined();
+      });
     });
 
     describe("requested with {force: true}", () => {
@@ -279,6 +321,285 @@ describe("Request", () => {
       });
     });
 
+    describe("requested with {revalidate: true}", () => {
+      afterEach(() => {
+        ModelCache.remove("stale");
+      });
+
+      it("refetches a cached model in place, flagging it while in flight", async () => {
+        var [startModel] = await request("stale", Model, { component }),
+          revalidatePromise,
+          finalModel;
+
+        waitSuccess = true;
+        Model.prototype.fetch.mockClear();
+        revalidatePromise = request("stale", Model, { component, revalidate: true });
+
+        expect(startModel.revalidating).toBe(true);
+        expect(ModelCache.get("stale")).toEqual(startModel);
+
+        [finalModel] = await revalidatePromise;
+
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+        expect(finalModel).toEqual(startModel);
+        expect(finalModel.revalidating).not.toBeDefined();
+      });
+
+      it("keeps the cached model if the revalidation fails", async () => {
+        var [startModel] = await request("stale", Model, { component }),
+          status;
+
+        waitSuccess = true;
+        reject = true;
+
+        await request("stale", Model, { component, revalidate: true }).catch(
+          (_status) => (status = _status),
+        );
+
+        expect(status).toEqual(404);
+        expect(startModel.revalidating).not.toBeDefined();
+        expect(ModelCache.get("stale")).toEqual(startModel);
+      });
+
+      it("doesn't flag or update a model whose conditional request comes back as a 304", async () => {
+        var [startModel] = await request("stale", Model, { component }),
+          revalidatePromise,
+          status;
+
+        startModel.validators = { url: "/stale", params: {}, etag: '"v1"' };
+        Model.prototype.fetch.mockResolvedValueOnce([startModel, { status: 304 }]);
+        vi.spyOn(startModel, "triggerUpdate");
+
+        revalidatePromise = request("stale", Model, { component, revalidate: true });
+        expect(startModel.revalidating).not.toBeDefined();
+
+        [, status] = await revalidatePromise;
+
+        expect(status).toEqual(304);
+        expect(startModel.triggerUpdate).not.toHaveBeenCalled();
+      });
+
+      it("fetches normally if the model is not yet cached", async () => {
+        var [model] = await request("stale", Model, { component, revalidate: true });
+
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+        expect(model.revalidating).not.toBeDefined();
+        expect(ModelCache.get("stale")).toEqual(model);
+      });
+
+      it("makes a new request after the in-flight one when passed {fresh: true}", async () => {
+        var inFlightPromise, freshPromise, sharedPromise;
+
+        await request("stale", Model, { component });
+        waitSuccess = true;
+        Model.prototype.fetch.mockClear();
+
+        inFlightPromise = request("stale", Model, { component, revalidate: true });
+        expect(request("stale", Model, { component, revalidate: true })).toBe(inFlightPromise);
+
+        freshPromise = request("stale", Model, { component, revalidate: true, fresh: true });
+        sharedPromise = request("stale", Model, { component, revalidate: true, fresh: true });
+        expect(freshPromise).not.toBe(inFlightPromise);
+
+        await inFlightPromise;
+        await Promise.all([freshPromise, sharedPromise]);
+        // both fresh requests were made after the in-flight one completed, so they share a request
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe("when the request fails", () => {
+      var statuses;
+
+      beforeEach(() => {
+        statuses = [];
+        // a null status represents a network error
+        Model.prototype.fetch.mockImplementation(function () {
+          const status = statuses.shift();
+
+          return (
+            status === undefined ? Promise.resolve([this, { status: 200 }])
+            : status === null ? Promise.reject(new TypeError("Failed to fetch"))
+            : Promise.reject({ status })
+          );
+        });
+      });
+
+      afterEach(() => {
+        ModelCache.remove("retried");
+      });
+
+      it("does not retry by default", async () => {
+        var status;
+
+        statuses = [503];
+        await request("retried", Model, { component }).catch((_status) => (status = _status));
+
+        expect(status).toEqual(503);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it("retries retryable statuses up to the retry count", async () => {
+        var backoff = vi.fn(() => 0),
+          model;
+
+        statuses = [503, null, 429];
+        [model] = await request("retried", Model, { component, retry: { count: 3, backoff } });
+
+        expect(model).toBeInstanceOf(Model);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(4);
+        expect(backoff.mock.calls.map(([retry, response]) => [retry, response.status])).toEqual([
+          [1, 503],
+          [2, undefined],
+          [3, 429],
+        ]);
+      });
+
+      it("rejects once there are no retries left", async () => {
+        var status;
+
+        statuses = [500, 502, 504];
+        await request("retried", Model, {
+          component,
+          retry: { count: 2, backoff: () => 0 },
+        }).catch((_status) => (status = _status));
+
+        expect(status).toEqual(504);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(3);
+        expect(existsInCache("retried")).toBe(false);
+      });
+
+      it("does not retry statuses that are not configured to be retried", async () => {
+        var status;
+
+        statuses = [404];
+        await request("retried", Model, {
+          component,
+          retry: { count: 2, backoff: () => 0 },
+        }).catch((_status) => (status = _status));
+
+        expect(status).toEqual(404);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+
+        statuses = [404];
+        await request("retried", Model, {
+          component,
+          retry: { count: 2, statuses: [404], backoff: () => 0 },
+        });
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(3);
+      });
+
+      it("uses the global and model retry configs, with resource config taking precedence", async () => {
+        class RetryModel extends Model {
+          static retry = { count: 1 };
+        }
+
+        var status;
+
+        ResourcesConfig.set({ retry: { count: 3, backoff: () => 0 } });
+        statuses = [500, 500, 500];
+        await request("retried", RetryModel, { component }).catch((_status) => (status = _status));
+
+        expect(status).toEqual(500);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(2);
+
+        statuses = [500, 500];
+        await request("retried", RetryModel, { component, retry: { count: 2 } });
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(5);
+
+        ResourcesConfig.set({ retry: { count: 0, backoff: ResourcesConfig.retry.backoff } });
+      });
+
+      it("stops retrying if the request is abandoned", async () => {
+        var status = "unset";
+
+        statuses = [500];
+        request("retried", Model, {
+          component,
+          retry: { count: 2, backoff: () => 100000 },
+        }).catch((_status) => (status = _status));
+
+        await waitsFor(() => Model.prototype.fetch.mock.calls.length);
+        abandon(component, "retried");
+
+        await waitsFor(() => status !== "unset");
+        expect(status).toEqual(500);
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it("removes each retry's abort listener once it is retried", async () => {
+        var signal;
+
+        statuses = [503, 503];
+        Model.prototype.fetch.mockImplementation(function (options) {
+          const status = statuses.shift();
+
+          if (!signal) {
+            ({ signal } = options);
+            vi.spyOn(signal, "removeEventListener");
+          }
+
+          return status ? Promise.reject({ status }) : Promise.resolve([this, { status: 200 }]);
+        });
+
+        await request("retried", Model, { component, retry: { count: 2, backoff: () => 0 } });
+
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(3);
+        expect(signal.removeEventListener).toHaveBeenCalledTimes(2);
+        expect(signal.removeEventListener).toHaveBeenCalledWith("abort", expect.any(Function));
+      });
+    });
+
+    describe("when abandoned by its waiting components", () => {
+      beforeEach(() => {
+        Model.prototype.fetch.mockImplementation(function ({ signal }) {
+          return new Promise((res, rej) => {
+            signal.addEventListener("abort", () => rej(signal.reason));
+            window.requestAnimationFrame(() => res([this, { status: 200 }]));
+          });
+        });
+      });
+
+      it("aborts the request once no components are left waiting on it", async () => {
+        var component2 = {},
+          promise = request("abandoned", Model, { component }),
+          signal = Model.prototype.fetch.mock.calls[0][0].signal,
+          status = "unset";
+
+        promise.catch((_status) => (status = _status));
+        request("abandoned", Model, { component: component2 });
+
+        abandon(component, "abandoned");
+        expect(signal.aborted).toBe(false);
+
+        abandon(component2);
+        expect(signal.aborted).toBe(true);
+
+        await waitsFor(() => status !== "unset");
+        expect(status).not.toBeDefined();
+        expect(existsInCache("abandoned")).toBe(false);
+
+        // a new request starts fresh instead of returning the aborted promise
+        await request("abandoned", Model, { component });
+        expect(Model.prototype.fetch).toHaveBeenCalledTimes(2);
+        expect(existsInCache("abandoned")).toBe(true);
+        ModelCache.remove("abandoned");
+      });
+
+      it("does not abort requests that were made without a component", async () => {
+        var promise = request("abandoned", Model),
+          signal = Model.prototype.fetch.mock.calls[0][0].signal;
+
+        request("abandoned", Model, { component });
+        abandon(component);
+        expect(signal.aborted).toBe(false);
+
+        await promise;
+        expect(existsInCache("abandoned")).toBe(true);
+        ModelCache.remove("abandoned");
+      });
+    });
+
     describe("with the 'lazy' option", () => {
       it("returns a new model without fetching", async () => {
         await request("lazy", Model, { component, lazy: true });
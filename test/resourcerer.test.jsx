@@ -7,14 +7,15 @@ import {
   NotesModel,
   UserModel,
 } from "./model-mocks";
-import { getCacheKey, useResources } from "../lib/resourcerer";
+import { useMutation, useResources, useSuspenseResources } from "../lib/resourcerer";
 import { hasErrored, hasLoaded, isLoading, isPending, noOp } from "../lib/utils";
 import { ModelMap, ResourceKeys, ResourcesConfig } from "../lib/config";
 
 import Collection from "../lib/collection";
+import ErrorBoundary from "../lib/error-boundary";
 import { findRenderedComponentWithType } from "react-dom/test-utils";
 import Model from "../lib/model";
-import ModelCache from "../lib/model-cache";
+import ModelCache, { getCacheKey } from "../lib/model-cache";
 import React from "react";
 import ReactDOM, { unmountComponentAtNode } from "react-dom";
 import { waitsFor } from "./test-utils";
@@ -36,6 +37,9 @@ const getResources = (props) => ({
     ...(props.force ? { force: true } : {}),
     lazy: props.lazy,
     measure,
+    ...(props.staleTime !== undefined ? { staleTime: props.staleTime } : {}),
+    ...(props.pollInterval ? { pollInterval: props.pollInterval } : {}),
+    ...(props.refetchOnFocus ? { refetchOnFocus: true } : {}),
   },
   notes: { data: { pretend: true }, noncritical: true, dependsOn: !!props.noah },
   user: {
@@ -46,6 +50,7 @@ const getResources = (props) => ({
     },
     path: { userId: props.userId, fraudLevel: props.fraudLevel },
     ...(props.force ? { force: true } : {}),
+    ...(props.tags ? { tags: ({ path }) => [`user:${path.userId}`] } : {}),
   },
   ...(props.prefetch ?
     {
@@ -481,6 +486,44 @@ describe("resourcerer", () => {
     vi.useRealTimers();
   });
 
+  describe("aborts in-flight requests no other component is waiting on", () => {
+    // the previous test's requests may have resolved into the cache after it was cleared
+    beforeEach(() => ModelCache.__removeAll__());
+
+    it("when the component unmounts", async () => {
+      dataChild = findDataChild(renderUseResources());
+      await waitsFor(() => requestSpy.mock.calls.length === 3);
+
+      const signals = [
+        ...Model.prototype.fetch.mock.calls,
+        ...Collection.prototype.fetch.mock.calls,
+      ].map(([options]) => options.signal);
+
+      expect(signals.length).toEqual(3);
+      expect(signals.some((signal) => signal.aborted)).toBe(false);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      // effect cleanups run asynchronously
+      await waitsFor(() => ModelCache.unregister.mock.calls.length);
+      expect(signals.every((signal) => signal.aborted)).toBe(true);
+    });
+
+    it("when its cache key changes with props", async () => {
+      resources = renderUseResources();
+      await waitsFor(() => requestSpy.mock.calls.length === 3);
+
+      const [[{ signal }]] = Collection.prototype.fetch.mock.calls.filter(
+        (call, index) => Collection.prototype.fetch.mock.instances[index] instanceof DecisionsCollection,
+      );
+
+      findDataChild(resources).props.setResourceState({ includeDeleted: true });
+      await waitsFor(() => requestSpy.mock.calls.length === 4);
+
+      expect(signal.aborted).toBe(true);
+      await waitsFor(() => findDataChild(resources).props.hasLoaded);
+    });
+  });
+
   it("prioritizes critical resource requests before noncritical requests before prefetch", async () => {
     dataChild = findDataChild(renderUseResources({ prefetch: true }));
     await waitsFor(() => requestSpy.mock.calls.length === 5);
@@ -1254,6 +1297,51 @@ describe("resourcerer", () => {
       expect(requestSpy.mock.calls.at(-2)[0]).toEqual("user~fraudLevel=high_userId=noah");
       expect(requestSpy.mock.calls.at(-1)[0]).toEqual("analysts");
     });
+
+    it("refetches mounted resources in place with the 'refetch' option", async () => {
+      var decisionsCollection;
+
+      dataChild = findDataChild(renderUseResources());
+      await waitsFor(() => dataChild.props.hasLoaded);
+      decisionsCollection = dataChild.props.decisionsCollection;
+      // not in use by a mounted component
+      ModelCache.put("decisions~include_deleted=true", new DecisionsCollection());
+      requestSpy.mockClear();
+
+      dataChild.props.invalidate("decisions", { refetch: true });
+      expect(requestSpy).toHaveBeenCalledTimes(1);
+      expect(requestSpy.mock.calls[0][0]).toEqual("decisions");
+      expect(requestSpy.mock.calls[0][2].revalidate).toBe(true);
+      expect(ModelCache.get("decisions")).toEqual(decisionsCollection);
+      expect(ModelCache.get("decisions~include_deleted=true")).not.toBeDefined();
+
+      await waitsFor(() => dataChild.props.isRevalidating);
+      // never goes back into a loading state
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+      expect(dataChild.props.hasLoaded).toBe(true);
+      await waitsFor(() => !dataChild.props.isRevalidating);
+      expect(dataChild.props.decisionsCollection).toEqual(decisionsCollection);
+    });
+
+    it("refetches mounted resources by tag in place with the 'refetch' option", async () => {
+      var userModel;
+
+      dataChild = findDataChild(renderUseResources({ tags: true }));
+      await waitsFor(() => dataChild.props.hasLoaded);
+      userModel = dataChild.props.userModel;
+      requestSpy.mockClear();
+
+      dataChild.props.invalidate({ tags: ["user:noah"] }, { refetch: true });
+      expect(requestSpy).toHaveBeenCalledTimes(1);
+      expect(requestSpy.mock.calls[0][0]).toEqual("user~fraudLevel=high_userId=noah");
+      expect(requestSpy.mock.calls[0][2].revalidate).toBe(true);
+      expect(ModelCache.get("user~fraudLevel=high_userId=noah")).toEqual(userModel);
+
+      await waitsFor(() => dataChild.props.isRevalidating);
+      expect(dataChild.props.userLoadingState).toEqual("loaded");
+      await waitsFor(() => !dataChild.props.isRevalidating);
+      expect(dataChild.props.userModel).toEqual(userModel);
+    });
   });
 
   it("fetches on mount (but not on updated) even when cached with 'force' option", async () => {
@@ -1277,6 +1365,338 @@ describe("resourcerer", () => {
     expect(requestSpy.mock.calls.length).toEqual(3);
   });
 
+  describe("for a resource with a 'staleTime' option", () => {
+    it("serves a stale cached resource while revalidating it in the background", async () => {
+      dataChild = findDataChild(renderUseResources({ staleTime: 0 }));
+      await waitsFor(() => dataChild.props.hasLoaded);
+
+      const decisionsCollection = dataChild.props.decisionsCollection;
+
+      expect(requestSpy.mock.calls.length).toEqual(3);
+      expect(dataChild.props.isRevalidating).toBe(false);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      dataChild = findDataChild(renderUseResources({ staleTime: 0 }));
+
+      // cached, so no loading state, but a background request goes out
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+      expect(dataChild.props.hasLoaded).toBe(true);
+
+      await waitsFor(() => dataChild.props.isRevalidating);
+      expect(requestSpy.mock.calls.length).toEqual(4);
+      expect(requestSpy.mock.calls.at(-1)[0]).toEqual("decisions");
+      expect(requestSpy.mock.calls.at(-1)[2].revalidate).toBe(true);
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+
+      await waitsFor(() => !dataChild.props.isRevalidating);
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+      expect(dataChild.props.decisionsCollection).toEqual(decisionsCollection);
+    });
+
+    it("does not revalidate a cached resource that is still fresh", async () => {
+      dataChild = findDataChild(renderUseResources({ staleTime: 60000 }));
+      await waitsFor(() => dataChild.props.hasLoaded);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      dataChild = findDataChild(renderUseResources({ staleTime: 60000 }));
+      await new Promise((res) => window.setTimeout(res, 0));
+
+      expect(requestSpy.mock.calls.length).toEqual(3);
+      expect(dataChild.props.isRevalidating).toBe(false);
+    });
+  });
+
+  describe("for a resource with a 'pollInterval' option", () => {
+    it("refetches the resource in the background while the component is mounted", async () => {
+      dataChild = findDataChild(renderUseResources({ pollInterval: 20 }));
+      await waitsFor(() => dataChild.props.hasLoaded);
+
+      const decisionsCollection = dataChild.props.decisionsCollection;
+
+      expect(requestSpy.mock.calls.length).toEqual(3);
+
+      await waitsFor(() => requestSpy.mock.calls.length === 4);
+      expect(requestSpy.mock.calls.at(-1)[0]).toEqual("decisions");
+      expect(requestSpy.mock.calls.at(-1)[2].revalidate).toBe(true);
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+
+      await waitsFor(() => requestSpy.mock.calls.length === 5);
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+      expect(dataChild.props.decisionsCollection).toEqual(decisionsCollection);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      await waitsFor(() => ModelCache.unregister.mock.calls.length);
+      requestSpy.mockClear();
+
+      await new Promise((res) => window.setTimeout(res, 60));
+      expect(requestSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("for resources that refetch on focus", () => {
+    afterEach(() => {
+      ResourcesConfig.set({ refetchOnFocus: false });
+    });
+
+    it("revalidates them in the background when the document becomes visible", async () => {
+      dataChild = findDataChild(renderUseResources({ refetchOnFocus: true }));
+      await waitsFor(() => dataChild.props.hasLoaded);
+      expect(requestSpy.mock.calls.length).toEqual(3);
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(requestSpy.mock.calls.length).toEqual(4);
+      expect(requestSpy.mock.calls.at(-1)[0]).toEqual("decisions");
+      expect(requestSpy.mock.calls.at(-1)[2].revalidate).toBe(true);
+
+      await waitsFor(() => dataChild.props.isRevalidating);
+      expect(dataChild.props.decisionsLoadingState).toEqual("loaded");
+      await waitsFor(() => !dataChild.props.isRevalidating);
+    });
+
+    it("can be turned on for all resources via the global config", async () => {
+      ResourcesConfig.set({ refetchOnFocus: true });
+      dataChild = findDataChild(renderUseResources());
+      await waitsFor(() => dataChild.props.hasLoaded);
+      requestSpy.mockClear();
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(requestSpy.mock.calls.map(([name]) => name).sort()).toEqual([
+        "analysts",
+        "decisions",
+        "user~fraudLevel=high_userId=noah",
+      ]);
+      await waitsFor(() => !dataChild.props.isRevalidating);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      await waitsFor(() => ModelCache.unregister.mock.calls.length);
+      requestSpy.mockClear();
+
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(requestSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("for a paginated collection", () => {
+    beforeEach(() => {
+      DecisionsCollection.pagination = { strategy: "cursor" };
+    });
+
+    afterEach(() => {
+      delete DecisionsCollection.pagination;
+    });
+
+    it("passes down whether it has a next page and whether it is being fetched", async () => {
+      var decisionsCollection, resolveSync;
+
+      dataChild = findDataChild(renderUseResources());
+      expect(dataChild.props.decisionsHasNextPage).toBe(false);
+      expect(dataChild.props.decisionsIsFetchingNextPage).toBe(false);
+      expect(dataChild.props.userHasNextPage).not.toBeDefined();
+
+      await waitsFor(() => dataChild.props.hasLoaded);
+      decisionsCollection = dataChild.props.decisionsCollection;
+      decisionsCollection.nextPage = "abc";
+      vi.spyOn(decisionsCollection, "sync").mockReturnValue(
+        new Promise((res) => (resolveSync = res)),
+      );
+
+      decisionsCollection.fetchNextPage();
+      await waitsFor(() => dataChild.props.decisionsIsFetchingNextPage);
+      expect(dataChild.props.decisionsHasNextPage).toBe(true);
+
+      resolveSync([[{ id: "next" }], {}]);
+      await waitsFor(() => !dataChild.props.decisionsIsFetchingNextPage);
+      expect(dataChild.props.decisionsHasNextPage).toBe(false);
+      expect(dataChild.props.decisionsCollection.at(-1).get("id")).toEqual("next");
+    });
+  });
+
+  describe("with useSuspenseResources", () => {
+    const renderSuspenseResources = (props = {}) =>
+      ReactDOM.render(
+        <ErrorBoundary>
+          <React.Suspense fallback={<p>fallback</p>}>
+            <SuspenseChild {...defaultProps} {...props} />
+          </React.Suspense>
+        </ErrorBoundary>,
+        renderNode,
+      );
+
+    function SuspenseChild(props) {
+      const { decisionsCollection, hasLoaded } = useSuspenseResources(getResources, props);
+
+      return <p>{hasLoaded ? `loaded ${decisionsCollection.params}` : "not loaded"}</p>;
+    }
+
+    it("suspends until critical resources have loaded", async () => {
+      renderSuspenseResources({ includeDeleted: true });
+      expect(renderNode.textContent).toEqual("fallback");
+
+      await waitsFor(() => renderNode.textContent !== "fallback");
+      expect(renderNode.textContent).toEqual("loaded [object Object]");
+      expect(ModelCache.get("decisions~include_deleted=true")).toBeDefined();
+      expect(ModelCache.get("user~fraudLevel=high_userId=noah")).toBeDefined();
+
+      // suspended renders don't make duplicate requests, and the noncritical resource is
+      // requested after mounting
+      await waitsFor(() => ModelCache.get("analysts"));
+      expect(Collection.prototype.fetch.mock.calls.length).toEqual(2);
+      expect(Model.prototype.fetch.mock.calls.length).toEqual(1);
+    });
+
+    it("does not suspend for resources that are already cached", async () => {
+      renderSuspenseResources();
+      await waitsFor(() => renderNode.textContent !== "fallback");
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      renderSuspenseResources();
+      expect(renderNode.textContent).toMatch(/^loaded/);
+    });
+
+    it("throws failed requests to the nearest error boundary", async () => {
+      // react logs caught errors to the console
+      var consoleSpy = vi.spyOn(console, "error").mockImplementation(noOp);
+
+      vi.spyOn(ResourcesConfig, "log").mockImplementation(noOp);
+
+      renderSuspenseResources({ shouldError: true });
+      await waitsFor(() => renderNode.textContent !== "fallback");
+
+      expect(renderNode.textContent).toEqual("An error occurred.");
+      expect(ResourcesConfig.log.mock.calls[0][0].status).toEqual(404);
+      expect(Model.prototype.fetch.mock.calls.length).toEqual(1);
+
+      // nothing ever mounted, so there's nothing to unregister
+      ReactDOM.unmountComponentAtNode(renderNode);
+
+      // rendering it again throws the same error without requesting the resource again
+      await new Promise((res) => window.setTimeout(res, 10));
+      renderSuspenseResources({ shouldError: true });
+      expect(renderNode.textContent).toEqual("An error occurred.");
+      expect(ResourcesConfig.log.mock.calls[1][0].status).toEqual(404);
+      expect(Model.prototype.fetch.mock.calls.length).toEqual(1);
+
+      ReactDOM.unmountComponentAtNode(renderNode);
+      consoleSpy.mockRestore();
+      ResourcesConfig.log.mockRestore();
+    });
+  });
+
+  describe("with useMutation", () => {
+    var mutation, onSuccess, onError, resolveMutation, rejectMutation, mutationFn;
+
+    const renderMutation = () => ReactDOM.render(<MutationChild />, renderNode);
+
+    function MutationChild() {
+      mutation = useMutation(mutationFn, { onSuccess, onError });
+
+      return <p>{mutation.isPending ? "pending" : "idle"}</p>;
+    }
+
+    beforeEach(() => {
+      onSuccess = vi.fn();
+      onError = vi.fn();
+      mutationFn = vi.fn(
+        () =>
+          new Promise((res, rej) => {
+            resolveMutation = res;
+            rejectMutation = rej;
+          }),
+      );
+    });
+
+    afterEach(() => {
+      // nothing registers with the ModelCache, so there's nothing to wait to unregister
+      ReactDOM.unmountComponentAtNode(renderNode);
+    });
+
+    it("tracks the state of a successful mutation", async () => {
+      var model = new Model(),
+        promise;
+
+      renderMutation();
+      expect(mutation).toEqual(
+        expect.objectContaining({ isPending: false, hasErrored: false, hasSucceeded: false }),
+      );
+
+      promise = mutation.mutate({ name: "zorah" }, "second");
+      await waitsFor(() => mutation.isPending);
+      expect(mutationFn).toHaveBeenCalledWith({ name: "zorah" }, "second");
+
+      resolveMutation([model, { status: 201 }]);
+      expect(await promise).toEqual([model, { status: 201 }]);
+      await waitsFor(() => mutation.hasSucceeded);
+
+      expect(mutation.isPending).toBe(false);
+      expect(mutation.status).toEqual(201);
+      expect(onSuccess).toHaveBeenCalledWith([model, { status: 201 }], { name: "zorah" }, "second");
+      expect(onError).not.toHaveBeenCalled();
+
+      mutation.reset();
+      await waitsFor(() => !mutation.hasSucceeded);
+      expect(mutation.status).not.toBeDefined();
+    });
+
+    it("tracks the state of a failed mutation and rejects", async () => {
+      var promise;
+
+      renderMutation();
+      promise = mutation.mutate("first");
+      rejectMutation({ status: 422 });
+
+      await expect(promise).rejects.toEqual({ status: 422 });
+      await waitsFor(() => mutation.hasErrored);
+
+      expect(mutation.isPending).toBe(false);
+      expect(mutation.hasSucceeded).toBe(false);
+      expect(mutation.status).toEqual(422);
+      expect(mutation.error).toEqual({ status: 422 });
+      expect(onError).toHaveBeenCalledWith({ status: 422 }, "first");
+      expect(onSuccess).not.toHaveBeenCalled();
+    });
+
+    it("only updates state for the latest mutation", async () => {
+      var firstResolve, secondPromise;
+
+      renderMutation();
+      mutation.mutate("first");
+      firstResolve = resolveMutation;
+      secondPromise = mutation.mutate("second");
+
+      firstResolve([new Model(), { status: 200 }]);
+      await new Promise((res) => window.setTimeout(res, 0));
+      expect(mutation.isPending).toBe(true);
+      expect(onSuccess).not.toHaveBeenCalled();
+
+      resolveMutation([new Model(), { status: 201 }]);
+      await secondPromise;
+      await waitsFor(() => mutation.hasSucceeded);
+      expect(mutation.status).toEqual(201);
+      expect(onSuccess).toHaveBeenCalledTimes(1);
+      expect(onSuccess.mock.calls[0][1]).toEqual("second");
+    });
+
+    it("does not update state after unmounting but still invokes callbacks", async () => {
+      var consoleSpy = vi.spyOn(console, "error").mockImplementation(noOp),
+        promise;
+
+      renderMutation();
+      await new Promise((res) => window.setTimeout(res, 0));
+      promise = mutation.mutate();
+      ReactDOM.unmountComponentAtNode(renderNode);
+      // effect cleanups run asynchronously
+      await new Promise((res) => window.setTimeout(res, 0));
+
+      resolveMutation([new Model(), { status: 200 }]);
+      await promise;
+
+      expect(onSuccess).toHaveBeenCalled();
+      expect(mutation.hasSucceeded).toBe(false);
+      expect(consoleSpy).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
   it("lazily-fetched models are instances of their classes and not the empty model", async () => {
     dataChild = findDataChild(renderUseResources({ lazy: true }));
 
@@ -1333,8 +1753,12 @@ async function unmountAndClearModelCache() {
   ModelCache.__removeAll__();
 
   if (renderNode.children.length) {
+    // unmount cleanup runs asynchronously, so wait for its own unregister call rather than any
+    // call the test may have already made, or it can land on the next test's spy
+    const unregisterCallCount = ModelCache.unregister.mock.calls.length;
+
     ReactDOM.unmountComponentAtNode(renderNode);
-    await waitsFor(() => ModelCache.unregister.mock.calls.length);
+    await waitsFor(() => ModelCache.unregister.mock.calls.length > unregisterCallCount);
   }
 }
 
@@ -0,0 +1,197 @@
+import { DecisionsCollection, UserModel } from "./model-mocks";
+import { dehydrate, hydrate, loadResources } from "../lib/ssr";
+import { ModelMap, ResourcesConfig, register } from "../lib/config";
+
+import CanonicalModel from "../lib/canonical-model";
+import CanonicalModelCache, { canonicalModelCache } from "../lib/canonical-model-cache";
+import Collection from "../lib/collection";
+import Model from "../lib/model";
+import ModelCache from "../lib/model-cache";
+import React from "react";
+import ReactDOM from "react-dom";
+import { useResources } from "../lib/resourcerer";
+import { vi } from "vitest";
+
+const renderNode = document.createElement("div");
+
+class CanonicalAuthor extends CanonicalModel {}
+
+class AuthorModel extends Model {
+  static CanonicalModel = CanonicalAuthor;
+}
+
+describe("SSR", () => {
+  beforeEach(() => {
+    vi.spyOn(Model.prototype, "fetch").mockImplementation(function () {
+      this.set({ id: this.urlOptions.userId, name: "Noah" });
+
+      return Promise.resolve([this, { status: 200 }]);
+    });
+    vi.spyOn(Collection.prototype, "fetch").mockImplementation(function () {
+      this.set([{ id: "zorah" }, { id: "alex" }]);
+
+      return Promise.resolve([this, { status: 200 }]);
+    });
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(renderNode);
+    Model.prototype.fetch.mockRestore();
+    Collection.prototype.fetch.mockRestore();
+    ModelCache.__removeAll__();
+    canonicalModelCache.clear();
+  });
+
+  describe("loadResources", () => {
+    it("requests all resources in an executor function", async () => {
+      await loadResources(
+        (props) => ({ user: { path: { userId: props.userId } }, decisions: {} }),
+        { userId: "noah" },
+      );
+
+      expect(ModelCache.get("user~userId=noah")).toBeInstanceOf(UserModel);
+      expect(ModelCache.get("user~userId=noah").toJSON()).toEqual({ id: "noah", name: "Noah" });
+      expect(ModelCache.get("decisions")).toBeInstanceOf(DecisionsCollection);
+    });
+
+    it("requests dependent resources once their props are provided", async () => {
+      await loadResources((props) => ({
+        decisions: { provides: (collection) => ({ userId: collection.at(0).id }) },
+        user: { path: { userId: props.userId }, dependsOn: !!props.userId },
+      }));
+
+      expect(Collection.prototype.fetch).toHaveBeenCalledTimes(1);
+      expect(Model.prototype.fetch).toHaveBeenCalledTimes(1);
+      expect(ModelCache.get("user~userId=zorah")).toBeDefined();
+    });
+
+    it("ignores failed requests", async () => {
+      Collection.prototype.fetch.mockRejectedValue({ status: 500 });
+
+      await loadResources((props) => ({ user: { path: { userId: "noah" } }, decisions: {} }));
+
+      expect(ModelCache.get("user~userId=noah")).toBeDefined();
+      expect(ModelCache.get("decisions")).not.toBeDefined();
+    });
+
+    it("stops holding onto its resources once they have all returned", async () => {
+      vi.useFakeTimers();
+      await loadResources(() => ({ user: { path: { userId: "noah" } }, decisions: {} }));
+
+      expect(ModelCache.get("user~userId=noah")).toBeDefined();
+      vi.advanceTimersByTime(ResourcesConfig.cacheGracePeriod);
+      expect(ModelCache.get("user~userId=noah")).not.toBeDefined();
+      expect(ModelCache.get("decisions")).not.toBeDefined();
+      vi.useRealTimers();
+    });
+  });
+
+  describe("dehydrating and hydrating", () => {
+    beforeEach(() => {
+      register({ author: AuthorModel });
+    });
+
+    afterEach(() => {
+      delete ModelMap.author;
+    });
+
+    it("serializes fetched resources and canonical models", async () => {
+      await loadResources(() => ({ user: { path: { userId: "noah" } }, author: {} }));
+      ModelCache.get("author").set({ id: "noah", books: 3 });
+      // never fetched, so not dehydrated
+      ModelCache.put("decisions", new DecisionsCollection([{ id: "zorah" }]));
+
+      expect(JSON.parse(JSON.stringify(dehydrate()))).toEqual({
+        resources: [
+          {
+            cacheKey: "user~userId=noah",
+            resourceKey: "user",
+            data: { id: "noah", name: "Noah" },
+            options: { userId: "noah" },
+            fetchTime: ModelCache.getFetchTime("user~userId=noah"),
+          },
+          {
+            cacheKey: "author",
+            resourceKey: "author",
+            data: { id: "noah", name: "Noah", books: 3 },
+            options: {},
+            fetchTime: ModelCache.getFetchTime("author"),
+          },
+        ],
+        canonicalModels: [
+          { id: "author.0", modelId: "noah", attributes: { id: "noah", name: "Noah", books: 3 } },
+        ],
+      });
+    });
+
+    it("rebuilds resources and canonical models from a dehydrated payload", () => {
+      var cachedDecisions = new DecisionsCollection();
+
+      ModelCache.put("decisions", cachedDecisions);
+      hydrate({
+        resources: [
+          {
+            cacheKey: "user~userId=noah",
+            resourceKey: "user",
+            data: { id: "noah", name: "Noah" },
+            options: { userId: "noah" },
+            fetchTime: 1000,
+          },
+          {
+            cacheKey: "decisions",
+            resourceKey: "decisions",
+            data: [{ id: "zorah" }],
+            options: {},
+            fetchTime: 1000,
+          },
+        ],
+        canonicalModels: [
+          { id: "author.0", modelId: "noah", attributes: { id: "noah", name: "Noah", books: 3 } },
+        ],
+      });
+
+      expect(ModelCache.get("user~userId=noah")).toBeInstanceOf(UserModel);
+      expect(ModelCache.get("user~userId=noah").toJSON()).toEqual({ id: "noah", name: "Noah" });
+      expect(ModelCache.get("user~userId=noah").urlOptions).toEqual({ userId: "noah" });
+      expect(ModelCache.getFetchTime("user~userId=noah")).toEqual(1000);
+      // already cached
+      expect(ModelCache.get("decisions")).toEqual(cachedDecisions);
+
+      expect(CanonicalModelCache.getOrInsert(CanonicalAuthor, "noah").toJSON()).toEqual({
+        id: "noah",
+        name: "Noah",
+        books: 3,
+      });
+    });
+
+    it("renders hydrated resources in a loaded state from the start", async () => {
+      var renderedLoadingStates = [];
+
+      await loadResources(() => ({ user: { path: { userId: "noah" } } }));
+
+      const payload = JSON.parse(JSON.stringify(dehydrate()));
+
+      ModelCache.__removeAll__();
+      Model.prototype.fetch.mockClear();
+      hydrate(payload);
+
+      function TestComponent() {
+        const { userLoadingState, userModel } = useResources(
+          () => ({ user: { path: { userId: "noah" } } }),
+          {},
+        );
+
+        renderedLoadingStates.push(userLoadingState);
+
+        return <p>{userModel.get("name")}</p>;
+      }
+
+      ReactDOM.render(<TestComponent />, renderNode);
+      await new Promise((res) => window.setTimeout(res, 0));
+
+      expect(renderNode.textContent).toEqual("Noah");
+      expect(renderedLoadingStates.every((state) => state === "loaded")).toBe(true);
+      expect(Model.prototype.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,6 +2,9 @@ import sync, { setRequestPrefilter } from "../lib/sync";
 
 import Collection from "../lib/collection";
 import Model from "../lib/model";
+import { ResourcesConfig } from "../lib/config";
+import { noOp } from "../lib/utils";
+import { waitsFor } from "./test-utils";
 import { vi } from "vitest";
 
 class Library extends Collection {
@@ -218,6 +221,19 @@ describe("sync", () => {
     expect(() => new __Model().fetch()).toThrow();
   });
 
+  it("nests the url of a relation without its own url under its parent's url", async () => {
+    class OrderModel extends Model {
+      static relations = { items: { type: "hasMany" } };
+
+      url() {
+        return "/orders/1";
+      }
+    }
+
+    await new OrderModel({ items: [] }).get("items").fetch();
+    expect(window.fetch.mock.calls[0][0]).toEqual("/orders/1/items");
+  });
+
   it("default rejected promise callback just rejects again", async () => {
     window.fetch.mockRejectedValueOnce("response");
     library.add(attrs);
@@ -289,4 +305,307 @@ describe("sync", () => {
       });
     });
   });
+
+  describe("middleware", () => {
+    afterEach(() => {
+      ResourcesConfig.set({ middleware: [] });
+    });
+
+    it("runs global and then model middleware around the request", async () => {
+      var calls = [];
+
+      class MiddlewareLibrary extends Library {
+        static middleware = [
+          (options, next, model) => {
+            calls.push(["model", model]);
+
+            return next({ ...options, headers: { ...options.headers, "X-Model": "library" } });
+          },
+        ];
+      }
+
+      ResourcesConfig.set({
+        middleware: [
+          (options, next) => {
+            calls.push(["global"]);
+
+            return next({ ...options, headers: { Authorization: "Bearer token" } }).then(
+              ([json, response]) => {
+                calls.push(["global response"]);
+
+                return [{ ...json, normalized: true }, response];
+              },
+            );
+          },
+        ],
+      });
+
+      library = new MiddlewareLibrary();
+      await library.fetch();
+
+      expect(calls).toEqual([["global"], ["model", library], ["global response"]]);
+      expect(window.fetch.mock.calls[0][1].headers).toEqual({
+        Accept: "application/json",
+        Authorization: "Bearer token",
+        "X-Model": "library",
+      });
+      expect(library.toJSON()).toEqual([{ test: "response!", normalized: true }]);
+    });
+
+    it("can short-circuit the request", async () => {
+      ResourcesConfig.set({
+        middleware: [
+          () => Promise.resolve([[{ id: "mocked" }], new Response(null, { status: 200 })]),
+        ],
+      });
+
+      await library.fetch();
+
+      expect(window.fetch).not.toHaveBeenCalled();
+      expect(library.toJSON()).toEqual([{ id: "mocked" }]);
+    });
+
+    it("can retry the request", async () => {
+      window.fetch.mockResolvedValueOnce(new Response(null, { status: 503 }));
+      ResourcesConfig.set({
+        middleware: [(options, next) => next(options).catch(() => next(options))],
+      });
+
+      await library.fetch();
+
+      expect(window.fetch).toHaveBeenCalledTimes(2);
+      expect(library.toJSON()).toEqual([{ test: "response!" }]);
+    });
+
+    it("can inspect and transform failed responses", async () => {
+      window.fetch.mockResolvedValue(new Response(null, { status: 500 }));
+      ResourcesConfig.set({
+        middleware: [
+          (options, next) =>
+            next(options).catch((response) =>
+              Promise.reject(Object.assign(response, { normalizedMessage: "Server error" })),
+            ),
+        ],
+      });
+
+      await expect(library.fetch()).rejects.toMatchObject({
+        status: 500,
+        normalizedMessage: "Server error",
+      });
+    });
+  });
+
+  describe("conditional requests", () => {
+    beforeEach(() => {
+      window.fetch.mockResolvedValue(
+        new Response(JSON.stringify([{ id: "tempest" }]), {
+          status: 200,
+          headers: { ETag: '"v1"', "Last-Modified": "Mon, 01 Jan 2024 00:00:00 GMT" },
+        }),
+      );
+    });
+
+    it("sends the validators from the last response on the next fetch", async () => {
+      await library.fetch();
+      expect(window.fetch.mock.calls[0][1].headers["If-None-Match"]).not.toBeDefined();
+
+      await library.fetch();
+      expect(window.fetch.mock.calls[1][1].headers).toEqual({
+        Accept: "application/json",
+        "If-None-Match": '"v1"',
+        "If-Modified-Since": "Mon, 01 Jan 2024 00:00:00 GMT",
+      });
+
+      // validators only apply to the same request
+      await library.fetch({ params: { page: 2 } });
+      expect(window.fetch.mock.calls[2][1].headers["If-None-Match"]).not.toBeDefined();
+    });
+
+    it("keeps the current data without an update on a 304", async () => {
+      var updateSpy = vi.fn(),
+        model,
+        status;
+
+      class TempestModel extends Model {
+        url() {
+          return "/library/tempest";
+        }
+      }
+
+      await library.fetch();
+      library.onUpdate(updateSpy);
+      window.fetch.mockResolvedValue(new Response(null, { status: 304 }));
+
+      [, { status }] = await library.fetch();
+      expect(status).toEqual(304);
+      expect(library.toJSON()).toEqual([{ id: "tempest" }]);
+      expect(updateSpy).not.toHaveBeenCalled();
+
+      window.fetch.mockResolvedValueOnce(
+        new Response(JSON.stringify({ id: "tempest", title: "The Tempest" }), {
+          status: 200,
+          headers: { ETag: '"v1"' },
+        }),
+      );
+      model = new TempestModel();
+      await model.fetch();
+      model.onUpdate(updateSpy);
+
+      [, { status }] = await model.fetch();
+      expect(window.fetch.mock.lastCall[1].headers["If-None-Match"]).toEqual('"v1"');
+      expect(status).toEqual(304);
+      expect(model.toJSON()).toEqual({ id: "tempest", title: "The Tempest" });
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    it("refetches unconditionally to resolve a conflict without the server's record", async () => {
+      var model;
+
+      class TempestModel extends Model {
+        static optimisticConcurrency = true;
+
+        static resolveConflict = (local, remote) => ({ ...remote, title: local.title });
+
+        url() {
+          return "/library/tempest";
+        }
+      }
+
+      window.fetch.mockResolvedValueOnce(
+        new Response(JSON.stringify({ id: "tempest", title: "The Tempest" }), {
+          status: 200,
+          headers: { ETag: '"v1"' },
+        }),
+      );
+      model = new TempestModel();
+      await model.fetch();
+
+      window.fetch
+        .mockResolvedValueOnce(
+          new Response(JSON.stringify({ message: "precondition failed" }), { status: 412 }),
+        )
+        .mockResolvedValueOnce(
+          new Response(JSON.stringify({ id: "tempest", title: "Tempest", author: "Bill" }), {
+            status: 200,
+            headers: { ETag: '"v2"' },
+          }),
+        )
+        .mockResolvedValueOnce(new Response(JSON.stringify({}), { status: 200 }));
+
+      await model.save({ title: "The Tempest" });
+
+      expect(window.fetch.mock.calls.slice(1).map(([url, { method }]) => [method, url])).toEqual([
+        ["PUT", "/library/tempest"],
+        ["GET", "/library/tempest"],
+        ["PUT", "/library/tempest"],
+      ]);
+      expect(window.fetch.mock.calls[1][1].headers["If-Match"]).toEqual('"v1"');
+      expect(window.fetch.mock.calls[2][1].headers["If-None-Match"]).not.toBeDefined();
+      expect(window.fetch.mock.calls[3][1].headers["If-Match"]).toEqual('"v2"');
+      expect(model.toJSON()).toEqual({ id: "tempest", title: "The Tempest", author: "Bill" });
+    });
+  });
+
+  describe("when a request is unauthorized", () => {
+    var token, refreshToken, onAuthFailure, resolveRefresh, rejectRefresh;
+
+    beforeEach(() => {
+      token = "stale";
+      refreshToken = vi.fn(
+        () =>
+          new Promise((res, rej) => {
+            resolveRefresh = () => {
+              token = "fresh";
+              res();
+            };
+
+            rejectRefresh = rej;
+          }),
+      );
+      onAuthFailure = vi.fn();
+
+      ResourcesConfig.set({ refreshToken, onAuthFailure });
+      // the header must be read at request time so that replayed requests get the new token
+      setRequestPrefilter((options) => ({ headers: { Authorization: `Bearer ${token}` } }));
+      // the stale token has expired on the server
+      window.fetch.mockImplementation((url, { headers }) =>
+        Promise.resolve(
+          headers.Authorization === "Bearer fresh" ?
+            new Response(JSON.stringify({ test: "response!" }), { status: 200 })
+          : new Response(null, { status: 401 }),
+        ),
+      );
+    });
+
+    afterEach(() => {
+      ResourcesConfig.set({ refreshToken: null, onAuthFailure: noOp });
+    });
+
+    it("refreshes the token once and replays all unauthorized requests", async () => {
+      var otherLibrary = new Library(),
+        requests = [library.fetch(), otherLibrary.fetch()];
+
+      await waitsFor(() => refreshToken.mock.calls.length);
+      await new Promise((res) => window.setTimeout(res, 0));
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(window.fetch).toHaveBeenCalledTimes(2);
+
+      resolveRefresh();
+      await Promise.all(requests);
+
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(window.fetch).toHaveBeenCalledTimes(4);
+      expect(window.fetch.mock.calls[3][1].headers.Authorization).toEqual("Bearer fresh");
+      expect(library.toJSON()).toEqual([{ test: "response!" }]);
+      expect(otherLibrary.toJSON()).toEqual([{ test: "response!" }]);
+      expect(onAuthFailure).not.toHaveBeenCalled();
+    });
+
+    it("replays requests sent before a refresh without refreshing again", async () => {
+      var resolveSlowRequest,
+        otherLibrary = new Library(),
+        slowRequest,
+        request;
+
+      window.fetch
+        .mockImplementationOnce(() => Promise.resolve(new Response(null, { status: 401 })))
+        .mockImplementationOnce(() => new Promise((res) => (resolveSlowRequest = res)));
+
+      request = library.fetch();
+      slowRequest = otherLibrary.fetch();
+      await waitsFor(() => refreshToken.mock.calls.length);
+      resolveRefresh();
+      await request;
+
+      resolveSlowRequest(new Response(null, { status: 401 }));
+      await slowRequest;
+
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(window.fetch).toHaveBeenCalledTimes(4);
+      expect(otherLibrary.toJSON()).toEqual([{ test: "response!" }]);
+    });
+
+    it("calls 'onAuthFailure' once and rejects if the refresh fails", async () => {
+      var requests = [library.fetch(), new Library().fetch()];
+
+      await waitsFor(() => refreshToken.mock.calls.length);
+      rejectRefresh(new Error("refresh failed"));
+
+      for (const request of requests) {
+        await expect(request).rejects.toMatchObject({ status: 401 });
+      }
+
+      expect(onAuthFailure).toHaveBeenCalledTimes(1);
+      expect(onAuthFailure.mock.calls[0][0].status).toEqual(401);
+      // not replayed
+      expect(window.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("does not refresh the token for other errors", async () => {
+      window.fetch.mockResolvedValue(new Response(null, { status: 403 }));
+
+      await expect(library.fetch()).rejects.toMatchObject({ status: 403 });
+      expect(refreshToken).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -203,6 +203,11 @@ describe("Utils", () => {
           ),
         ).toBe(true);
       });
+
+      it("if the objects serialize to equal values", () => {
+        expect(isDeepEqual(new Date(1000), new Date(1000))).toBe(true);
+        expect(isDeepEqual({ one: new Date(1000) }, { one: new Date(1000) })).toBe(true);
+      });
     });
 
     describe("returns false", () => {
@@ -220,6 +225,10 @@ describe("Utils", () => {
         // nested
         expect(isDeepEqual({ one: { two: "three" } }, { one: { two: "four" } })).toBe(false);
       });
+
+      it("if the objects serialize to different values", () => {
+        expect(isDeepEqual(new Date(1000), new Date(2000))).toBe(false);
+      });
     });
   });
 